@@ -0,0 +1,95 @@
+// Replays recorded Gmail (sent mail headers) and People API responses through
+// the contacts index and checks which senders count as known, and that the
+// model cannot send a known sender's mail to a trash category. Makes no API
+// calls and writes nothing, so it can run in CI.
+//
+//   node scripts/check-contacts.js [--fixtures scripts/fixtures/contacts.json]
+//
+// To record new fixtures, save the responses of users.getProfile,
+// users.messages.get (format metadata, To/Cc/Bcc) for sent messages, and the
+// pages of people.connections.list and otherContacts.list.
+import 'dotenv/config';
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const DEFAULT_FIXTURES = path.join(__dirname, 'fixtures/contacts.json');
+
+// Sender reputation also marks contacts known; an account with no data keeps
+// the check to what the fixtures say
+const CHECK_ACCOUNT = 'contacts-check';
+
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'warn';
+process.env.CONTACTS_ENABLED = 'true';
+
+const { buildContactIndex, useContactIndex, findKnownContact } = await import('../src/services/contacts.js');
+const { applyConfidencePolicy } = await import('../src/services/policy.js');
+const { listCategories } = await import('../src/services/categories.js');
+const { runWithAccount } = await import('../src/services/accountContext.js');
+
+const args = process.argv.slice(2);
+const fixturesIndex = args.indexOf('--fixtures');
+const fixturesFile = path.resolve(fixturesIndex >= 0 ? args[fixturesIndex + 1] : DEFAULT_FIXTURES);
+const fixtures = JSON.parse(await fs.readFile(fixturesFile, 'utf8'));
+
+// The header map getMessageHeaders returns for a users.messages.get response
+function sentHeaders(message) {
+  const headers = message.payload?.headers || [];
+  return Object.fromEntries(['To', 'Cc', 'Bcc'].map(name => [
+    name.toLowerCase(),
+    headers.find(h => h.name.toLowerCase() === name.toLowerCase())?.value || ''
+  ]));
+}
+
+const sameSources = (a = [], b = []) => a.length === b.length && a.every(source => b.includes(source));
+
+const categories = await listCategories();
+const trash = categories.find(c => c.action === 'trash');
+
+let failures = 0;
+function check(ok, description, detail = '') {
+  if (!ok) failures++;
+  console.log(`  ${ok ? 'ok  ' : 'FAIL'} ${description}${detail ? `: ${detail}` : ''}`);
+}
+
+await runWithAccount(CHECK_ACCOUNT, async () => {
+  const self = fixtures.profile.emailAddress.toLowerCase();
+  const contacts = buildContactIndex({
+    self,
+    sent: fixtures.sentMessages.map(sentHeaders),
+    connections: fixtures.connectionsPages.flatMap(page => page.connections || []),
+    otherContacts: fixtures.otherContactsPages.flatMap(page => page.otherContacts || [])
+  });
+  useContactIndex({ self, contacts });
+
+  console.log(`${Object.keys(contacts).length} known addresses from ${fixtures.sentMessages.length} sent messages ` +
+    `in ${path.relative(process.cwd(), fixturesFile)}\n`);
+
+  for (const testCase of fixtures.cases) {
+    const known = await findKnownContact(testCase.from);
+    const ok = testCase.known
+      ? Boolean(known) && sameSources(known.sources, testCase.sources)
+      : !known;
+    check(ok, `${testCase.from} is ${testCase.known ? `known (${testCase.sources.join(', ')})` : 'not known'}`,
+      ok ? '' : `got ${known ? `known (${known.sources.join(', ')})` : 'not known'}`);
+
+    if (!trash) continue;
+
+    // A confident model answer of a trash category
+    const result = await applyConfidencePolicy(
+      { classification: trash.name, confidence: 1, reason: 'recorded', decidedBy: { type: 'model' } },
+      { knownContact: known }
+    );
+    const protectedFromTrash = result.classification !== trash.name;
+    check(protectedFromTrash === testCase.known,
+      `${testCase.from} ${testCase.known ? 'is kept out of' : 'can still go to'} ${trash.name}`,
+      protectedFromTrash === testCase.known ? '' : `classified ${result.classification}`);
+  }
+});
+
+if (!trash) {
+  console.log('\nNo trash category is configured, so protection was not checked');
+}
+console.log(`\n${failures === 0 ? 'All checks passed' : `${failures} checks failed`}`);
+process.exit(failures === 0 ? 0 : 1);
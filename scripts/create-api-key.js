@@ -0,0 +1,19 @@
+// Generates an API key and the API_KEYS entry that accepts it. Only the
+// SHA-256 of the key goes in the environment; the key itself is shown once.
+//
+//   node scripts/create-api-key.js <name> <read|operator|admin>
+import crypto from 'crypto';
+
+const [name, scope] = process.argv.slice(2);
+const SCOPES = ['read', 'operator', 'admin'];
+
+if (!name || !/^[\w-]+$/.test(name) || !SCOPES.includes(scope)) {
+  console.error('Usage: node scripts/create-api-key.js <name> <read|operator|admin>');
+  process.exit(1);
+}
+
+const key = `ef_${crypto.randomBytes(24).toString('base64url')}`;
+const hash = crypto.createHash('sha256').update(key).digest('hex');
+
+console.log(`API key (send as "Authorization: Bearer <key>" or "X-API-Key: <key>"):\n  ${key}\n`);
+console.log(`Add to API_KEYS (comma-separated with any existing entries):\n  ${name}:${scope}:${hash}`);
@@ -0,0 +1,231 @@
+// Runs a labeled set of emails through the classifier with one or more prompt
+// versions and reports accuracy and a confusion matrix for each, so a prompt
+// change can be checked before it is activated. Draft a version with
+// POST /api/prompts (without activate), evaluate it here, then activate it.
+//
+//   node scripts/evaluate.js [--versions 1,3|all] [--provider openai|openai-compatible|local]
+//     [--fixtures scripts/fixtures/evaluation.json] [--recordings <file>] [--offline] [--output <report.json>]
+//
+// Without --versions the active version is evaluated. With --recordings the
+// model's answers are saved to that file and reused for prompts that have not
+// changed; --offline only replays them and makes no API calls (for CI). The
+// local provider ignores the prompt, so it gives the same result for every
+// version and is only a baseline.
+import 'dotenv/config';
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const DEFAULT_FIXTURES = path.join(__dirname, 'fixtures/evaluation.json');
+
+// Per-email classification logs would drown the report
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'warn';
+
+const { classifyEmail, createProvider, useProvider } = await import('../src/services/classifier.js');
+const { listPromptVersions, getActivePrompt } = await import('../src/services/prompts.js');
+const { getCategoryNames } = await import('../src/services/categories.js');
+const { analyzeHeaders } = await import('../src/services/headerAnalysis.js');
+const { createReplayProvider } = await import('../src/services/providers/replay.js');
+
+const USAGE = 'Usage: node scripts/evaluate.js [--versions 1,3|all] [--provider <name>] [--fixtures <file>] ' +
+  '[--recordings <file>] [--offline] [--output <file>]';
+
+// Flag -> whether it takes a value
+const OPTIONS = {
+  versions: true,
+  provider: true,
+  fixtures: true,
+  recordings: true,
+  output: true,
+  offline: false
+};
+
+function usage(code) {
+  (code === 0 ? console.log : console.error)(USAGE);
+  process.exit(code);
+}
+
+function parseArgs(argv) {
+  const args = {};
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--help' || argv[i] === '-h') usage(0);
+
+    const name = argv[i].startsWith('--') ? argv[i].slice(2) : null;
+    if (!Object.hasOwn(OPTIONS, name ?? '')) {
+      console.error(`Unknown option: ${argv[i]}`);
+      usage(1);
+    }
+    if (!OPTIONS[name]) {
+      args[name] = true;
+      continue;
+    }
+
+    const value = argv[++i];
+    if (value === undefined || value.startsWith('--')) {
+      console.error(`--${name} needs a value`);
+      usage(1);
+    }
+    args[name] = value;
+  }
+  return args;
+}
+
+async function readJsonFile(file, fallback) {
+  try {
+    return JSON.parse(await fs.readFile(file, 'utf8'));
+  } catch (error) {
+    if (error.code === 'ENOENT' && fallback !== undefined) return fallback;
+    throw error;
+  }
+}
+
+async function selectVersions(spec) {
+  const all = await listPromptVersions();
+  if (!spec) return [await getActivePrompt()];
+  if (spec === 'all') return all;
+
+  return String(spec).split(',').map(value => {
+    const prompt = all.find(v => v.version === Number(value));
+    if (!prompt) {
+      console.error(`Unknown prompt version: ${value} (have ${all.map(v => v.version).join(', ')})`);
+      process.exit(1);
+    }
+    return prompt;
+  });
+}
+
+// The fields the watcher would have filled in, from the fixture
+function toEmail(fixture) {
+  const email = { date: '', snippet: '', body: '', headers: [], ...fixture };
+  email.headerAnalysis = analyzeHeaders(email);
+  return email;
+}
+
+async function evaluateVersion(prompt, fixtures, categories) {
+  const matrix = Object.fromEntries(categories.map(expected => [
+    expected,
+    Object.fromEntries(categories.map(predicted => [predicted, 0]))
+  ]));
+  const mistakes = [];
+  let correct = 0;
+  let errors = 0;
+
+  for (const fixture of fixtures) {
+    // No few-shot corrections: they depend on the mailbox, not the prompt
+    const result = await classifyEmail(toEmail(fixture), { promptVersion: prompt.version, examples: [] });
+    if (result.error || result.deferred) {
+      errors++;
+      mistakes.push({ id: fixture.id, subject: fixture.subject, expected: fixture.expected, error: result.reason });
+      continue;
+    }
+
+    matrix[fixture.expected][result.classification]++;
+    if (result.classification === fixture.expected) {
+      correct++;
+    } else {
+      mistakes.push({
+        id: fixture.id,
+        subject: fixture.subject,
+        expected: fixture.expected,
+        predicted: result.classification,
+        confidence: result.confidence,
+        reason: result.reason
+      });
+    }
+  }
+
+  return {
+    version: prompt.version,
+    note: prompt.note,
+    total: fixtures.length,
+    correct,
+    errors,
+    accuracy: fixtures.length > 0 ? correct / fixtures.length : 0,
+    matrix,
+    mistakes
+  };
+}
+
+const percent = (value) => `${(value * 100).toFixed(1)}%`;
+
+function printReport(report, categories) {
+  console.log(`\nPrompt version ${report.version}${report.note ? ` (${report.note})` : ''}: ` +
+    `${report.correct}/${report.total} correct, accuracy ${percent(report.accuracy)}, ${report.errors} errors`);
+
+  const width = Math.max(10, ...categories.map(c => c.length)) + 2;
+  const cell = (value) => String(value).padEnd(width);
+  console.log(`  ${cell('expected')}${categories.map(cell).join('')}recall`);
+  for (const expected of categories) {
+    const row = report.matrix[expected];
+    const total = Object.values(row).reduce((sum, n) => sum + n, 0);
+    const recall = total > 0 ? percent(row[expected] / total) : '-';
+    console.log(`  ${cell(expected)}${categories.map(c => cell(row[c])).join('')}${recall}`);
+  }
+
+  for (const m of report.mistakes) {
+    console.log(m.error
+      ? `  ! ${m.id} "${m.subject}": ${m.error}`
+      : `  - ${m.id} "${m.subject}": expected ${m.expected}, got ${m.predicted} (${m.confidence}): ${m.reason}`);
+  }
+}
+
+const args = parseArgs(process.argv.slice(2));
+const fixturesFile = path.resolve(args.fixtures || DEFAULT_FIXTURES);
+const recordingsFile = args.recordings ? path.resolve(args.recordings) : null;
+
+if (args.offline && !recordingsFile) {
+  console.error('--offline needs --recordings <file>');
+  process.exit(1);
+}
+
+const categories = await getCategoryNames();
+const fixtures = (await readJsonFile(fixturesFile)).filter(fixture => {
+  if (categories.includes(fixture.expected)) return true;
+  console.warn(`Skipping fixture ${fixture.id}: unknown category ${fixture.expected}`);
+  return false;
+});
+
+const recordings = recordingsFile ? await readJsonFile(recordingsFile, {}) : null;
+const providerName = args.provider || process.env.CLASSIFIER_PROVIDER || 'openai';
+if (providerName === 'local' || !recordings) {
+  useProvider(createProvider(providerName));
+} else {
+  useProvider(createReplayProvider({ recordings, inner: args.offline ? null : createProvider(providerName) }));
+}
+
+const versions = await selectVersions(args.versions);
+console.log(`Evaluating ${fixtures.length} emails from ${path.relative(process.cwd(), fixturesFile)} ` +
+  `with ${args.offline ? 'recorded answers' : providerName}, prompt versions ${versions.map(v => v.version).join(', ')}`);
+
+const reports = [];
+try {
+  for (const prompt of versions) {
+    const report = await evaluateVersion(prompt, fixtures, categories);
+    reports.push(report);
+    printReport(report, categories);
+  }
+} finally {
+  // Keep what was recorded even when a run is interrupted by an error
+  if (recordingsFile && !args.offline) {
+    await fs.writeFile(recordingsFile, JSON.stringify(recordings, null, 2));
+  }
+}
+
+if (reports.length > 1) {
+  const baseline = reports[0].accuracy;
+  console.log('\nSummary:');
+  for (const report of reports) {
+    const delta = report === reports[0] ? '' : ` (${report.accuracy >= baseline ? '+' : ''}${((report.accuracy - baseline) * 100).toFixed(1)})`;
+    console.log(`  version ${report.version}: ${percent(report.accuracy)}${delta}, ${report.errors} errors`);
+  }
+}
+
+if (args.output) {
+  await fs.writeFile(args.output, JSON.stringify({
+    fixtures: path.relative(process.cwd(), fixturesFile),
+    provider: args.offline ? 'replay' : providerName,
+    evaluatedAt: new Date().toISOString(),
+    reports
+  }, null, 2));
+}
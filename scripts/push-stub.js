@@ -0,0 +1,50 @@
+// Posts a fake Gmail Pub/Sub push notification to a running server, for
+// trying push mode locally where Pub/Sub cannot reach.
+//
+//   node scripts/push-stub.js --email you@gmail.com [--history 12345] [--url http://localhost:3001/api/push/notify]
+//
+// The request carries PUSH_VERIFICATION_TOKEN from .env like a real push
+// subscription endpoint would. Without --history a very large history id is
+// sent so the server always runs an incremental sync.
+import 'dotenv/config';
+import crypto from 'crypto';
+
+function parseArgs(argv) {
+  const args = {};
+  for (let i = 0; i < argv.length; i += 2) {
+    args[argv[i].replace(/^--/, '')] = argv[i + 1];
+  }
+  return args;
+}
+
+const args = parseArgs(process.argv.slice(2));
+const url = new URL(args.url || `http://localhost:${process.env.PORT || 3001}/api/push/notify`);
+const email = args.email;
+const historyId = args.history || String(Number.MAX_SAFE_INTEGER);
+
+if (!email) {
+  console.error('Usage: node scripts/push-stub.js --email you@gmail.com [--history 12345] [--url <notify url>]');
+  process.exit(1);
+}
+
+if (process.env.PUSH_VERIFICATION_TOKEN && !url.searchParams.has('token')) {
+  url.searchParams.set('token', process.env.PUSH_VERIFICATION_TOKEN);
+}
+
+const body = {
+  message: {
+    data: Buffer.from(JSON.stringify({ emailAddress: email, historyId: Number(historyId) })).toString('base64'),
+    messageId: crypto.randomUUID(),
+    publishTime: new Date().toISOString()
+  },
+  subscription: 'projects/local/subscriptions/push-stub'
+};
+
+const response = await fetch(url, {
+  method: 'POST',
+  headers: { 'Content-Type': 'application/json' },
+  body: JSON.stringify(body)
+});
+
+console.log(`${response.status} ${response.statusText} ${await response.text()}`);
+process.exit(response.ok ? 0 : 1);
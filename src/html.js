@@ -0,0 +1,4 @@
+// Text (category labels, query parameters, ...) placed into an HTML page
+export function escapeHtml(value) {
+  return String(value).replace(/[&<>"']/g, c => `&#${c.charCodeAt(0)};`);
+}
@@ -3,16 +3,40 @@ import express from 'express';
 import cors from 'cors';
 import authRoutes from './routes/auth.js';
 import apiRoutes from './routes/api.js';
+import rulesRoutes from './routes/rules.js';
+import categoriesRoutes from './routes/categories.js';
+import promptsRoutes from './routes/prompts.js';
+import shadowRoutes from './routes/shadow.js';
+import decisionsRoutes from './routes/decisions.js';
+import feedbackRoutes from './routes/feedback.js';
+import quarantineRoutes from './routes/quarantine.js';
+import jobsRoutes from './routes/jobs.js';
+import sendersRoutes from './routes/senders.js';
+import contactsRoutes from './routes/contacts.js';
+import accountsRoutes from './routes/accounts.js';
+import pushRoutes from './routes/push.js';
+import dashboardRoutes from './routes/dashboard.js';
 import { initializeGmail } from './services/gmail.js';
-import { initializeOpenAI } from './services/classifier.js';
+import { initializeClassifier } from './services/classifier.js';
+import { listCategories } from './services/categories.js';
 import { startWatcher } from './services/emailWatcher.js';
+import { forEachAccount } from './services/accounts.js';
+import { requireAccess } from './middleware/auth.js';
+import { escapeHtml } from './html.js';
 import logger from './logger.js';
 
 const app = express();
 const PORT = process.env.PORT || 3001;
 
+// Browsers may only call the API from these origins (comma-separated);
+// without CORS_ORIGINS only same-origin pages can
+const CORS_ORIGINS = (process.env.CORS_ORIGINS || '')
+  .split(',')
+  .map(origin => origin.trim())
+  .filter(Boolean);
+
 // Middleware
-app.use(cors());
+app.use(cors({ origin: CORS_ORIGINS, credentials: true }));
 app.use(express.json());
 
 // Request logging
@@ -21,63 +45,146 @@ app.use((req, res, next) => {
   next();
 });
 
-// Routes
+// Lazy initialization for Vercel
+app.use(async (req, res, next) => {
+  if (!initialized) {
+    await initialize();
+  }
+  next();
+});
+
+// Routes. Reads need a read key or better and changes an operator key,
+// except configuration, which needs admin. The api, auth and push routers
+// guard each route themselves (health checks and the push webhook are public);
+// the dashboard page is public but only shows data to a signed-in admin.
 app.use('/auth', authRoutes);
+app.use('/dashboard', dashboardRoutes);
+app.use('/api/rules', requireAccess({ write: 'admin' }), rulesRoutes);
+app.use('/api/categories', requireAccess({ write: 'admin' }), categoriesRoutes);
+app.use('/api/prompts', requireAccess({ write: 'admin' }), promptsRoutes);
+app.use('/api/shadow', requireAccess(), shadowRoutes);
+app.use('/api/decisions', requireAccess(), decisionsRoutes);
+app.use('/api/feedback', requireAccess(), feedbackRoutes);
+app.use('/api/quarantine', requireAccess(), quarantineRoutes);
+app.use('/api/jobs', requireAccess(), jobsRoutes);
+app.use('/api/senders', requireAccess(), sendersRoutes);
+app.use('/api/contacts', requireAccess(), contactsRoutes);
+app.use('/api/accounts', requireAccess(), accountsRoutes);
+app.use('/api/push', pushRoutes);
 app.use('/api', apiRoutes);
 
+const ACTION_DESCRIPTIONS = {
+  keep: 'stays in inbox',
+  archive: 'moved from inbox',
+  trash: process.env.QUARANTINE_ENABLED === 'false' ? 'moved to trash' : 'quarantined, then trashed when it expires',
+  star: 'starred, stays in inbox',
+  'mark-read': 'marked as read, stays in inbox'
+};
+
 // Root endpoint
-app.get('/', (req, res) => {
-  res.send(`
-    <!DOCTYPE html>
-    <html>
-      <head>
-        <title>Email Filter</title>
-        <style>
-          body { font-family: system-ui, sans-serif; max-width: 800px; margin: 50px auto; padding: 20px; line-height: 1.6; }
-          h1 { color: #1f2937; }
-          a { color: #3b82f6; text-decoration: none; }
-          a:hover { text-decoration: underline; }
-          .card { background: #f9fafb; padding: 20px; border-radius: 8px; margin: 20px 0; }
-          code { background: #e5e7eb; padding: 2px 6px; border-radius: 4px; }
-        </style>
-      </head>
-      <body>
-        <h1>📧 Email Filter</h1>
-        <p>AI-powered email classification using Gmail API and GPT-4o-mini.</p>
-
-        <div class="card">
-          <h3>Quick Start</h3>
-          <ol>
-            <li><a href="/auth/google">Connect Gmail Account</a></li>
-            <li><a href="/api/status">Check Status</a></li>
-            <li>Start the watcher: <code>POST /api/watcher/start</code></li>
-          </ol>
-        </div>
-
-        <div class="card">
-          <h3>API Endpoints</h3>
-          <ul>
-            <li><code>GET /auth/google</code> - Start OAuth flow</li>
-            <li><code>GET /auth/status</code> - Check authentication status</li>
-            <li><code>GET /api/status</code> - Full system status</li>
-            <li><code>POST /api/watcher/start</code> - Start email monitoring</li>
-            <li><code>POST /api/watcher/stop</code> - Stop email monitoring</li>
-            <li><code>GET /api/emails/recent</code> - View recent emails</li>
-            <li><code>GET /api/health</code> - Health check</li>
-          </ul>
-        </div>
-
-        <div class="card">
-          <h3>Classification Labels</h3>
-          <ul>
-            <li><strong>AI-Important</strong> - Personal, work, financial, security emails (stays in inbox)</li>
-            <li><strong>AI-Review</strong> - Newsletters, notifications, uncertain (moved from inbox)</li>
-            <li><strong>AI-Junk</strong> - Spam, scams, unsolicited marketing (moved from inbox)</li>
-          </ul>
-        </div>
-      </body>
-    </html>
-  `);
+app.get('/', async (req, res) => {
+  try {
+    const categories = await listCategories();
+    const labelList = categories
+      .map(c => `<li><strong>${escapeHtml(c.label)}</strong> - ${escapeHtml(c.description.split('\n')[0])} (${ACTION_DESCRIPTIONS[c.action]})</li>`)
+      .join('\n            ');
+
+    res.send(`
+      <!DOCTYPE html>
+      <html>
+        <head>
+          <title>Email Filter</title>
+          <style>
+            body { font-family: system-ui, sans-serif; max-width: 800px; margin: 50px auto; padding: 20px; line-height: 1.6; }
+            h1 { color: #1f2937; }
+            a { color: #3b82f6; text-decoration: none; }
+            a:hover { text-decoration: underline; }
+            .card { background: #f9fafb; padding: 20px; border-radius: 8px; margin: 20px 0; }
+            code { background: #e5e7eb; padding: 2px 6px; border-radius: 4px; }
+          </style>
+        </head>
+        <body>
+          <h1>📧 Email Filter</h1>
+          <p>AI-powered email classification using Gmail API and a pluggable model (OpenAI, a local OpenAI-compatible server, or the built-in offline classifier).</p>
+
+          <div class="card">
+            <h3>Quick Start</h3>
+            <ol>
+              <li><a href="/auth/google">Connect Gmail Account</a> (add more with <code>/auth/google?account=work</code>)</li>
+              <li>Open the <a href="/dashboard">dashboard</a> to start the watcher, review decisions and edit rules</li>
+            </ol>
+          </div>
+
+          <div class="card">
+            <h3>Access</h3>
+            <p>Connecting a Gmail account as an admin also signs this browser in. Scripts use API keys
+            (<code>npm run api-key -- &lt;name&gt; &lt;read|operator|admin&gt;</code>) sent as
+            <code>Authorization: Bearer &lt;key&gt;</code>; the cron poll uses <code>CRON_SECRET</code>.
+            <code>POST /auth/signout</code> ends the session.</p>
+          </div>
+
+          <div class="card">
+            <h3>API Endpoints</h3>
+            <ul>
+              <li><code>GET /auth/google</code> - Start OAuth flow</li>
+              <li><code>GET /auth/status</code> - Check authentication status</li>
+              <li><code>GET /api/status</code> - Full system status</li>
+              <li><code>GET /api/accounts</code> - Connected Gmail accounts</li>
+              <li><code>DELETE /api/accounts/:id</code> - Disconnect an account</li>
+              <li><code>/api/accounts/:id/...</code> - Any of the status, watcher, email, decision, shadow, feedback, quarantine, job, sender, contact and push endpoints for one account (unscoped paths use the default account)</li>
+              <li><code>POST /api/watcher/start</code> - Start email monitoring</li>
+              <li><code>POST /api/watcher/stop</code> - Stop email monitoring</li>
+              <li><code>GET /api/emails/recent</code> - View recent emails</li>
+              <li><code>GET /api/rules</code> - List classification rules</li>
+              <li><code>POST /api/rules</code> - Create a rule (evaluated before the AI)</li>
+              <li><code>PUT /api/rules/:id</code> - Update a rule</li>
+              <li><code>DELETE /api/rules/:id</code> - Delete a rule</li>
+              <li><code>GET /api/categories</code> - List categories</li>
+              <li><code>POST /api/categories</code> - Add a category (label, description, inbox action)</li>
+              <li><code>GET /api/prompts</code> - Prompt versions; <code>GET /api/prompts/:version</code> shows the rendered prompt</li>
+              <li><code>POST /api/prompts</code> - New prompt version (template, variables: userName, trustedDomains, languages); <code>POST /api/prompts/:version/activate</code> switches or rolls back</li>
+              <li><code>GET /api/decisions</code> - Decision audit log (filter by category, sender, since/until, confidence, prompt version)</li>
+              <li><code>GET /api/decisions/:messageId</code> - Why a message was labeled</li>
+              <li><code>POST /api/decisions/:messageId/relabel</code> - Move a message to another category (counts as a correction)</li>
+              <li><code>POST /api/decisions/:messageId/undo</code> - Undo what the filter did to a message</li>
+              <li><code>POST /api/decisions/undo</code> - Undo everything from the last N hours</li>
+              <li><code>GET /api/feedback/corrections</code> - Relabels detected in Gmail</li>
+              <li><code>GET /api/feedback/overrides</code> - Sender overrides learned from corrections</li>
+              <li><code>GET /api/senders</code> - Sender reputation (categories assigned, corrections, whether you have written to them)</li>
+              <li><code>GET /api/senders/:address</code> - History for one sender and its domain</li>
+              <li><code>POST /api/senders/lists</code> - Allow or block an address or domain (decided before the AI); <code>DELETE /api/senders/lists/:id</code></li>
+              <li><code>GET /api/contacts</code> - Known correspondents (people you have emailed, plus Google contacts with <code>CONTACTS_PEOPLE_API=true</code>); the model never junks their mail</li>
+              <li><code>POST /api/contacts/refresh</code> - Rebuild the known contacts index now</li>
+              <li><code>GET /api/quarantine</code> - Junk held before it is trashed</li>
+              <li><code>POST /api/quarantine/:messageId/release</code> - Rescue a quarantined message</li>
+              <li><code>POST /api/jobs/backfill</code> - Run the filter over existing mail (query, after, before, maxMessages, dryRun, reclassify)</li>
+              <li><code>GET /api/jobs/:id</code> - Backfill progress; <code>POST /api/jobs/:id/cancel</code> and <code>/resume</code></li>
+              <li><code>POST /api/push/notify</code> - Gmail Pub/Sub push webhook</li>
+              <li><code>GET /api/push</code> - Push watch status</li>
+              <li><code>POST /api/push/watch</code> - Start or renew the Gmail push watch</li>
+              <li><code>POST /api/push/stop</code> - Stop the Gmail push watch</li>
+              <li><code>GET /api/shadow</code> - Decisions recorded in shadow (dry-run) mode</li>
+              <li><code>POST /api/shadow/mode</code> - Enable or disable shadow mode</li>
+              <li><code>POST /api/shadow/apply</code> - Apply shadow decisions to Gmail</li>
+              <li><code>POST /api/shadow/discard</code> - Discard shadow decisions</li>
+              <li><code>GET /api/health</code> - Health check</li>
+            </ul>
+          </div>
+
+          <div class="card">
+            <h3>Classification Labels</h3>
+            <ul>
+              ${labelList}
+            </ul>
+          </div>
+        </body>
+      </html>
+    `);
+  } catch (error) {
+    logger.error('Root page error:', error);
+    // A public page: the details stay in the log
+    res.status(500).type('text').send('Internal server error');
+  }
 });
 
 // Error handler
@@ -101,44 +208,43 @@ async function initialize() {
     logger.warn('Some features may not work until these are configured.');
   }
 
-  // Initialize OpenAI if key is present
-  if (process.env.OPENAI_API_KEY) {
-    try {
-      initializeOpenAI();
-    } catch (error) {
-      logger.error('Failed to initialize OpenAI:', error);
-    }
-  } else {
-    logger.warn('OPENAI_API_KEY not set - classification will not work');
+  // Initialize the classifier backend (OpenAI, OpenAI-compatible or local)
+  try {
+    initializeClassifier();
+  } catch (error) {
+    logger.error('Failed to initialize classifier:', error);
   }
 
-  // Try to initialize Gmail with stored tokens
+  // Try to initialize Gmail with stored tokens, for every connected account
+  let connected = 0;
   try {
-    const isReady = await initializeGmail();
-    if (isReady) {
-      logger.info('Gmail initialized with stored tokens');
+    await forEachAccount(async (account) => {
+      try {
+        const isReady = await initializeGmail();
+        if (isReady) {
+          connected++;
+          logger.info(`Gmail initialized with stored tokens for account ${account.id}`);
 
-      // Auto-start watcher only if configured AND not in Vercel (Cron handles it there)
-      if (process.env.AUTO_START_WATCHER === 'true' && !process.env.VERCEL) {
-        await startWatcher();
+          // Auto-start watcher only if configured AND not in Vercel (Cron handles it there)
+          if (process.env.AUTO_START_WATCHER === 'true' && !process.env.VERCEL) {
+            await startWatcher();
+          }
+        }
+      } catch (error) {
+        logger.warn(`Could not initialize Gmail for account ${account.id}:`, error.message);
       }
-    }
+    });
   } catch (error) {
-    logger.warn('Could not initialize Gmail:', error.message);
+    logger.warn('Could not load accounts:', error.message);
+  }
+
+  if (connected === 0) {
     logger.info('Visit /auth/google to authenticate');
   }
 
   initialized = true;
 }
 
-// Lazy initialization for Vercel
-app.use(async (req, res, next) => {
-  if (!initialized) {
-    await initialize();
-  }
-  next();
-});
-
 // Start server if running directly
 if (process.env.VERCEL !== '1') {
   initialize().then(() => {
@@ -0,0 +1,248 @@
+import crypto from 'crypto';
+import { listAccounts } from '../services/accounts.js';
+import { runWithAccount } from '../services/accountContext.js';
+import { isAuthenticated, getProfile } from '../services/gmail.js';
+import logger from '../logger.js';
+
+// Roles, least to most privileged. read: GET endpoints; operator: run the
+// filter (watcher, polls, undo, shadow apply, quarantine); admin: change
+// configuration, accounts and tokens.
+const ROLES = ['read', 'operator', 'admin'];
+
+const SESSION_COOKIE = 'ef_session';
+const SESSION_TTL_HOURS = parseFloat(process.env.SESSION_TTL_HOURS) || 24;
+
+// An OAuth flow must be completed within this long of starting it
+const OAUTH_COOKIE = 'ef_oauth';
+const OAUTH_FLOW_TTL_MS = 10 * 60 * 1000;
+
+// Local development only: every request is treated as admin
+const AUTH_DISABLED = process.env.AUTH_DISABLED === 'true';
+
+// Comma-separated Google accounts allowed an admin session. Without it, the
+// owners of connected mailboxes are admins (and the first to connect one).
+const ADMIN_EMAILS = (process.env.ADMIN_EMAILS || '')
+  .split(',')
+  .map(e => e.trim().toLowerCase())
+  .filter(Boolean);
+
+// API_KEYS: comma-separated name:scope:sha256-of-key entries
+// (generate with `npm run api-key -- <name> <scope>`)
+const API_KEYS = (process.env.API_KEYS || '')
+  .split(',')
+  .map(entry => entry.trim())
+  .filter(Boolean)
+  .map(entry => {
+    const [name, scope, hash] = entry.split(':');
+    if (!name || !ROLES.includes(scope) || !/^[0-9a-f]{64}$/i.test(hash || '')) {
+      logger.warn(`Ignoring malformed API_KEYS entry "${name || entry}"`);
+      return null;
+    }
+    return { name, scope, hash: hash.toLowerCase() };
+  })
+  .filter(Boolean);
+
+if (AUTH_DISABLED) {
+  logger.warn('AUTH_DISABLED=true: the API is open to anyone who can reach it');
+}
+
+function getSessionSecret() {
+  if (process.env.SESSION_SECRET) return process.env.SESSION_SECRET;
+  if (process.env.TOKEN_ENCRYPTION_KEY) {
+    return crypto.createHmac('sha256', process.env.TOKEN_ENCRYPTION_KEY).update('session').digest('hex');
+  }
+  return null;
+}
+
+function safeEqual(a, b) {
+  const left = Buffer.from(String(a));
+  const right = Buffer.from(String(b));
+  return left.length === right.length && crypto.timingSafeEqual(left, right);
+}
+
+export function hashApiKey(key) {
+  return crypto.createHash('sha256').update(key).digest('hex');
+}
+
+function sign(payload, secret) {
+  return crypto.createHmac('sha256', secret).update(payload).digest('base64url');
+}
+
+function readCookie(req, name) {
+  for (const part of (req.headers.cookie || '').split(';')) {
+    const [key, ...value] = part.trim().split('=');
+    if (key === name) return decodeURIComponent(value.join('='));
+  }
+  return null;
+}
+
+function isSecureRequest(req) {
+  return req.secure || req.headers['x-forwarded-proto'] === 'https' || !!process.env.VERCEL;
+}
+
+// Cookie value: base64url(JSON payload) + "." + HMAC; null if unsigned,
+// tampered with or expired
+function readSignedCookie(req, name) {
+  const secret = getSessionSecret();
+  const cookie = readCookie(req, name);
+  if (!secret || !cookie) return null;
+
+  const [payload, signature] = cookie.split('.');
+  if (!payload || !signature || !safeEqual(signature, sign(payload, secret))) return null;
+
+  try {
+    const value = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+    return value.exp < Date.now() ? null : value;
+  } catch {
+    return null;
+  }
+}
+
+function setSignedCookie(req, res, name, value, maxAge) {
+  const secret = getSessionSecret();
+  const payload = Buffer.from(JSON.stringify({ ...value, exp: Date.now() + maxAge })).toString('base64url');
+  res.cookie(name, `${payload}.${sign(payload, secret)}`, {
+    httpOnly: true,
+    sameSite: 'lax',
+    secure: isSecureRequest(req),
+    maxAge
+  });
+}
+
+function readSession(req) {
+  const session = readSignedCookie(req, SESSION_COOKIE);
+  // Removing someone from ADMIN_EMAILS ends their session
+  if (session && ADMIN_EMAILS.length > 0 && !ADMIN_EMAILS.includes(session.email)) return null;
+  return session;
+}
+
+// Sessions are only ever issued to admins, so a session means admin
+export function startSession(req, res, email) {
+  if (!getSessionSecret()) {
+    logger.warn('No SESSION_SECRET or TOKEN_ENCRYPTION_KEY, admin sessions are disabled');
+    return;
+  }
+
+  setSignedCookie(req, res, SESSION_COOKIE, { email }, SESSION_TTL_HOURS * 60 * 60 * 1000);
+}
+
+export function endSession(req, res) {
+  res.clearCookie(SESSION_COOKIE, { httpOnly: true, sameSite: 'lax', secure: isSecureRequest(req) });
+}
+
+// Start an OAuth flow: a random `state` and a PKCE verifier are kept in a
+// short-lived signed cookie, so the callback only accepts a code requested
+// from this browser (login CSRF) and only with the matching verifier
+export function beginOAuthFlow(req, res, accountId) {
+  if (!getSessionSecret()) {
+    throw new Error('Set SESSION_SECRET or TOKEN_ENCRYPTION_KEY to connect accounts');
+  }
+
+  const state = crypto.randomBytes(24).toString('base64url');
+  const codeVerifier = crypto.randomBytes(48).toString('base64url');
+  const codeChallenge = crypto.createHash('sha256').update(codeVerifier).digest('base64url');
+
+  setSignedCookie(req, res, OAUTH_COOKIE, { state, codeVerifier, accountId }, OAUTH_FLOW_TTL_MS);
+  return { state, codeChallenge };
+}
+
+// The flow started by beginOAuthFlow if `state` matches it, else null. The
+// cookie is cleared either way so a flow can only complete once.
+export function consumeOAuthFlow(req, res, state) {
+  const flow = readSignedCookie(req, OAUTH_COOKIE);
+  res.clearCookie(OAUTH_COOKIE, { httpOnly: true, sameSite: 'lax', secure: isSecureRequest(req) });
+
+  if (!flow || !state || !safeEqual(flow.state, state)) return null;
+  return { accountId: flow.accountId, codeVerifier: flow.codeVerifier };
+}
+
+// Whether a Google identity that just completed OAuth may hold an admin session
+export async function isAdminIdentity(email) {
+  const address = email.toLowerCase();
+  if (ADMIN_EMAILS.length > 0) {
+    return ADMIN_EMAILS.includes(address);
+  }
+
+  const accounts = await listAccounts();
+  if (accounts.length === 0) return true;
+
+  for (const account of accounts) {
+    // Accounts connected before addresses were recorded are asked for theirs
+    const owner = account.email || await runWithAccount(account.id, async () => (
+      isAuthenticated() ? (await getProfile()).emailAddress : null
+    ));
+    if (owner?.toLowerCase() === address) return true;
+  }
+  return false;
+}
+
+// Who is calling: an admin session, an API key, the cron secret, or nobody
+export function getPrincipal(req) {
+  if (AUTH_DISABLED) {
+    return { type: 'disabled', role: 'admin' };
+  }
+
+  const authorization = req.headers.authorization || '';
+  const bearer = authorization.startsWith('Bearer ') ? authorization.slice(7).trim() : null;
+  const key = req.headers['x-api-key'] || bearer;
+
+  if (key) {
+    if (process.env.CRON_SECRET && safeEqual(key, process.env.CRON_SECRET)) {
+      return { type: 'cron', role: null };
+    }
+
+    const hash = hashApiKey(key);
+    const apiKey = API_KEYS.find(k => safeEqual(k.hash, hash));
+    if (apiKey) {
+      return { type: 'apiKey', name: apiKey.name, role: apiKey.scope };
+    }
+  }
+
+  const session = readSession(req);
+  if (session) {
+    return { type: 'session', email: session.email, role: 'admin' };
+  }
+
+  return null;
+}
+
+function hasRole(principal, role) {
+  return !!principal?.role && ROLES.indexOf(principal.role) >= ROLES.indexOf(role);
+}
+
+// Require at least `role`. With `allowCron`, the CRON_SECRET bearer token is
+// accepted too (Vercel Cron sends it as Authorization: Bearer <CRON_SECRET>).
+// `allowSession: false` refuses the admin session cookie, for GET routes that
+// change something: the cookie is SameSite=Lax, so it rides along on links
+// from other sites.
+export function requireRole(role, { allowCron = false, allowSession = true } = {}) {
+  return (req, res, next) => {
+    const principal = getPrincipal(req);
+
+    if (principal?.type === 'cron' && allowCron) {
+      req.principal = principal;
+      return next();
+    }
+    if (!principal || principal.type === 'cron') {
+      return res.status(401).json({ error: 'Authentication required' });
+    }
+    if (principal.type === 'session' && !allowSession) {
+      return res.status(403).json({ error: 'Requires an API key; signed-in browsers use POST' });
+    }
+    if (!hasRole(principal, role)) {
+      return res.status(403).json({ error: `Requires ${role} access` });
+    }
+
+    req.principal = principal;
+    next();
+  };
+}
+
+// Role by HTTP method: reads need `read`, anything that changes state `write`
+export function requireAccess({ read = 'read', write = 'operator' } = {}) {
+  const guards = { read: requireRole(read), write: requireRole(write) };
+  return (req, res, next) => {
+    const safe = req.method === 'GET' || req.method === 'HEAD' || req.method === 'OPTIONS';
+    return (safe ? guards.read : guards.write)(req, res, next);
+  };
+}
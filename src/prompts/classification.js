@@ -1,52 +1,200 @@
-export const classificationPrompt = `You are an email classification assistant. Analyze the email and classify it into one of three categories.
-
-CATEGORIES:
-1. IMPORTANT - Emails that require attention:
-   - Personal emails from known contacts
-   - Work-related communications
-   - Financial statements, bills, invoices
-   - Security alerts (password resets, login notifications)
-   - Appointment confirmations
-   - Shipping/delivery notifications for expected packages
-   - Emails from University of Michigan (umich.edu) - ALWAYS IMPORTANT
-
-2. REVIEW - Emails that might be useful but aren't urgent:
-   - Newsletters the user might have subscribed to
-   - Social media notifications
-   - First-time senders (unknown but potentially legitimate)
-   - Promotional emails from known services
-   - Community/forum digests
-   - Emails from other colleges/universities (NOT University of Michigan)
-
-3. JUNK - Emails that are almost certainly unwanted:
-   - Obvious spam or scam attempts
-   - Unsolicited marketing from unknown senders
-   - Phishing attempts
-   - Get-rich-quick schemes
-   - Suspicious links or attachments mentions
-   - Emails in foreign languages (unless contextually relevant)
+import { buildBodyPreview } from '../services/mime.js';
+
+// The USER section of the default template, from the version's variables
+function formatUserContext(variables, has) {
+  const lines = [];
+  if (variables.userName) {
+    lines.push(`- The user's name is ${variables.userName}`);
+  }
+  if (variables.trustedDomains.length > 0) {
+    lines.push(`- Emails from ${variables.trustedDomains.join(', ')} (including subdomains) come from organizations the user belongs to` +
+      (has('IMPORTANT') ? '; classify them as IMPORTANT' : ''));
+  }
+  if (variables.languages.length > 0) {
+    lines.push(`- The user reads ${variables.languages.join(', ')}; emails in other languages are rarely relevant unless from a known contact`);
+  }
+  return lines.length > 0 ? `\nUSER:\n${lines.join('\n')}\n` : '';
+}
+
+// System prompt from a prompt version (see services/prompts.js): its template
+// with the placeholders filled in, followed by the response format, which is
+// not part of the template so an edit cannot break parsing
+export function buildClassificationPrompt(categories, prompt) {
+  const names = categories.map(c => c.name);
+  const has = (name) => names.includes(name);
+
+  const categoryList = categories
+    .map((c, i) => {
+      const [summary, ...details] = c.description.split('\n');
+      const body = details.map(line => `   ${line.trim()}`).join('\n');
+      return `${i + 1}. ${c.name} - ${summary.trim()}${body ? `\n${body}` : ''}`;
+    })
+    .join('\n\n');
+
+  const guidelines = [];
+  if (has('IMPORTANT') && has('REVIEW')) {
+    guidelines.push('- When in doubt between IMPORTANT and REVIEW, choose REVIEW');
+  }
+  if (has('REVIEW') && has('JUNK')) {
+    guidelines.push('- When in doubt between REVIEW and JUNK, choose REVIEW');
+  }
+  guidelines.push('- Consider sender reputation, subject line, and content');
+  guidelines.push('- SENDER HISTORY, when given, is how earlier mail from the sender was classified');
+  guidelines.push('- KNOWN CONTACT marks senders the user has written to or keeps in their contacts');
+  guidelines.push('- HEADER SIGNALS are what the mail server verified about the sender; PHISHING SIGNS list header tells of forgery');
+  if (has('JUNK')) {
+    guidelines.push('- Mail with PHISHING SIGNS that asks for credentials, payment or urgent action is phishing; classify it as JUNK');
+    guidelines.push('- Be conservative with JUNK classification to avoid missing important emails');
+  }
+
+  const { variables } = prompt;
+  const values = {
+    categoryCount: String(categories.length),
+    categories: categoryList,
+    guidelines: guidelines.join('\n'),
+    userContext: formatUserContext(variables, has),
+    userName: variables.userName || 'the user',
+    trustedDomains: variables.trustedDomains.join(', ') || 'none',
+    languages: variables.languages.join(', ') || 'any'
+  };
+  const instructions = prompt.template.replace(/\{\{\s*(\w+)\s*\}\}/g, (placeholder, name) => values[name] ?? placeholder);
+
+  return `${instructions.trim()}
 
 RESPONSE FORMAT:
 Return a JSON object with exactly these fields:
 {
-  "classification": "IMPORTANT" | "REVIEW" | "JUNK",
+  "classification": ${names.map(n => `"${n}"`).join(' | ')},
   "confidence": 0.0-1.0,
   "reason": "Brief explanation (max 100 chars)"
+}`;
+}
+
+function formatExamples(examples) {
+  if (!examples || examples.length === 0) return '';
+
+  const lines = examples.map(e =>
+    `- FROM: ${e.from} | SUBJECT: ${e.subject} -> ${e.corrected} (not ${e.original})`
+  );
+  return `PAST CORRECTIONS (the user reclassified these emails; follow the same judgement):
+${lines.join('\n')}
+
+`;
+}
+
+const plural = (count, noun) => `${count} ${noun}${count === 1 ? '' : 's'}`;
+
+function describeReputation(entry) {
+  const counts = Object.entries(entry.categories)
+    .filter(([, count]) => count > 0)
+    .map(([category, count]) => `${category} ${count}`)
+    .join(', ');
+
+  const parts = [`${plural(entry.total, 'earlier email')}${counts ? ` (${counts})` : ''}`];
+  if (entry.corrections > 0) parts.push(`corrected by the user ${plural(entry.corrections, 'time')}`);
+  if (entry.replied) parts.push('the user has written to this address');
+  return `- ${entry.key}: ${parts.join('; ')}`;
+}
+
+// What we know about the sender from earlier mail (see senders.js)
+function formatSenderHistory(history) {
+  if (!history) return '';
+
+  const lines = [history.address, history.domain].filter(Boolean).map(describeReputation);
+  return `SENDER HISTORY:
+${lines.length > 0 ? lines.join('\n') : '- first email from this sender'}
+`;
+}
+
+const CONTACT_SOURCES = {
+  sent: 'the user has sent them mail',
+  contacts: "in the user's contacts",
+  'other-contacts': "in the user's other contacts"
+};
+
+function formatKnownContact(contact) {
+  if (!contact) return '';
+  return `KNOWN CONTACT: yes (${contact.sources.map(source => CONTACT_SOURCES[source] || source).join(', ')})\n`;
 }
 
-GUIDELINES:
-- When in doubt between IMPORTANT and REVIEW, choose REVIEW
-- When in doubt between REVIEW and JUNK, choose REVIEW
-- Consider sender reputation, subject line, and content
-- Be conservative with JUNK classification to avoid missing important emails`;
+// Summary of headerAnalysis.js output
+function formatHeaderSignals(analysis) {
+  if (!analysis) return '';
 
-export function buildClassificationMessage(email) {
-  return `Classify this email:
+  const { auth, list, warnings } = analysis;
+  const parts = [auth
+    ? `SPF ${auth.spf || 'none'}, DKIM ${auth.dkim || 'none'}, DMARC ${auth.dmarc || 'none'}`
+    : 'no authentication results'];
+  if (list) {
+    parts.push(`mailing list${list.id ? ` ${list.id}` : ''}${list.unsubscribe ? ' with unsubscribe link' : ''}`);
+  }
 
-FROM: ${email.from}
+  return `HEADER SIGNALS: ${parts.join('; ')}
+${warnings.length > 0 ? `PHISHING SIGNS: ${warnings.join('; ')}\n` : ''}`;
+}
+
+// The conversation a reply belongs to (see threads.js)
+function formatThread(context) {
+  if (!context) return '';
+
+  const categories = context.categories.length > 0 ? context.categories.join(', ') : 'none yet';
+  const lines = context.earlier.map(m =>
+    `- ${m.sent ? 'the user' : m.from}: ${m.subject}${m.category ? ` [${m.category}]` : ''}`
+  );
+  return `THREAD: reply in a conversation of ${context.size} messages; the user has ${context.participated ? '' : 'not '}written in it; categories so far: ${categories}
+${lines.length > 0 ? `${lines.join('\n')}\n` : ''}`;
+}
+
+function formatAttachments(attachments) {
+  const listed = (attachments || []).filter(a => !a.inline);
+  if (listed.length === 0) return '';
+
+  const items = listed.map(a => `${a.filename || 'unnamed'} (${a.mimeType}, ${Math.ceil(a.size / 1024)} KB)`);
+  return `ATTACHMENTS: ${items.join('; ')}\n`;
+}
+
+function formatLinks(links) {
+  if (!links || links.length === 0) return '';
+  return `LINKS TO: ${links.map(l => `${l.domain} (${l.count})`).join(', ')}\n`;
+}
+
+function formatEmail(email) {
+  const preview = buildBodyPreview(email.body);
+
+  return `FROM: ${email.from}
 SUBJECT: ${email.subject}
 DATE: ${email.date}
 SNIPPET: ${email.snippet}
+${formatHeaderSignals(email.headerAnalysis)}${formatKnownContact(email.knownContact)}${formatSenderHistory(email.senderHistory)}${formatThread(email.threadContext)}${formatAttachments(email.attachments)}${formatLinks(email.links)}
+${preview ? `BODY PREVIEW:\n${preview}` : ''}`;
+}
+
+export function buildClassificationMessage(email, { examples = [] } = {}) {
+  return `${formatExamples(examples)}Classify this email:
+
+${formatEmail(email)}`;
+}
+
+// Appended to the system prompt when several emails are sent in one request
+export function buildBatchInstructions(categoryNames) {
+  return `
+
+BATCH MODE:
+You will receive several emails, each introduced by "=== EMAIL <id> ===".
+Classify each one independently and return a JSON object of this form, with exactly one entry per email:
+{
+  "results": [
+    { "id": "<id>", "classification": ${categoryNames.map(n => `"${n}"`).join(' | ')}, "confidence": 0.0-1.0, "reason": "..." }
+  ]
+}`;
+}
+
+export function buildBatchClassificationMessage(items, { examples = [] } = {}) {
+  const emails = items
+    .map(({ id, email }) => `=== EMAIL ${id} ===\n${formatEmail(email)}`)
+    .join('\n\n');
+
+  return `${formatExamples(examples)}Classify these ${items.length} emails:
 
-${email.body ? `BODY PREVIEW:\n${email.body.substring(0, 1000)}` : ''}`;
+${emails}`;
 }
@@ -0,0 +1,80 @@
+import { Router } from 'express';
+import apiRoutes from './api.js';
+import shadowRoutes from './shadow.js';
+import decisionsRoutes from './decisions.js';
+import feedbackRoutes from './feedback.js';
+import quarantineRoutes from './quarantine.js';
+import jobsRoutes from './jobs.js';
+import sendersRoutes from './senders.js';
+import contactsRoutes from './contacts.js';
+import pushRoutes from './push.js';
+import { listAccounts, getAccount, disconnectAccount } from '../services/accounts.js';
+import { runWithAccount } from '../services/accountContext.js';
+import { isAuthenticated } from '../services/gmail.js';
+import { isWatcherRunning } from '../services/emailWatcher.js';
+import { requireRole } from '../middleware/auth.js';
+import logger from '../logger.js';
+
+const router = Router();
+
+// List connected accounts
+router.get('/', requireRole('read'), async (req, res) => {
+  try {
+    const accounts = await listAccounts();
+    res.json({
+      count: accounts.length,
+      accounts: accounts.map(account => runWithAccount(account.id, () => ({
+        ...account,
+        authenticated: isAuthenticated(),
+        watcherRunning: isWatcherRunning()
+      })))
+    });
+  } catch (error) {
+    logger.error('List accounts error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Disconnect an account: stops its watcher, revokes its grant and deletes its tokens
+router.delete('/:accountId', requireRole('admin'), async (req, res) => {
+  try {
+    const account = await getAccount(req.params.accountId);
+    if (!account) {
+      return res.status(404).json({ error: 'Account not found' });
+    }
+
+    const { revoked } = await disconnectAccount(account.id);
+    res.json({ success: true, message: `Account ${account.id} disconnected`, revoked });
+  } catch (error) {
+    logger.error('Disconnect account error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Everything below /:accountId runs against that account's mailbox and state
+async function scopeAccount(req, res, next) {
+  try {
+    const account = await getAccount(req.params.accountId);
+    if (!account) {
+      return res.status(404).json({ error: 'Account not found' });
+    }
+
+    req.account = account;
+    runWithAccount(account.id, next);
+  } catch (error) {
+    next(error);
+  }
+}
+
+router.use('/:accountId', scopeAccount);
+router.use('/:accountId/shadow', shadowRoutes);
+router.use('/:accountId/decisions', decisionsRoutes);
+router.use('/:accountId/feedback', feedbackRoutes);
+router.use('/:accountId/quarantine', quarantineRoutes);
+router.use('/:accountId/jobs', jobsRoutes);
+router.use('/:accountId/senders', sendersRoutes);
+router.use('/:accountId/contacts', contactsRoutes);
+router.use('/:accountId/push', pushRoutes);
+router.use('/:accountId', apiRoutes);
+
+export default router;
@@ -1,15 +1,24 @@
 import { Router } from 'express';
-import { isAuthenticated, getProfile, getLabelIds, getRecentMessages } from '../services/gmail.js';
-import { startWatcher, stopWatcher, getWatcherStatus, isWatcherRunning } from '../services/emailWatcher.js';
-import { isOpenAIReady } from '../services/classifier.js';
+import { isAuthenticated, getProfile, getLabelIds, getRecentMessages, isReauthError, getReauthRequired } from '../services/gmail.js';
+import { startWatcher, stopWatcher, getWatcherStatus, isWatcherRunning, poll, pauseForReauth } from '../services/emailWatcher.js';
+import { getClassifierStatus } from '../services/classifier.js';
+import { getGmailQuotaStatus } from '../services/gmailScheduler.js';
+import { isShadowMode } from '../services/shadow.js';
+import { getQuarantineConfig } from '../services/quarantine.js';
+import { getPolicies } from '../services/policy.js';
+import { getPushStatus } from '../services/push.js';
+import { getContactsStatus } from '../services/contacts.js';
+import { getStateStoreName } from '../services/stateStore.js';
+import { listAccounts } from '../services/accounts.js';
+import { getCurrentAccountId, runWithAccount } from '../services/accountContext.js';
+import { requireRole } from '../middleware/auth.js';
 import logger from '../logger.js';
 
 const router = Router();
 
 // Get overall status
-router.get('/status', async (req, res) => {
+router.get('/status', requireRole('read'), async (req, res) => {
   try {
-    const watcherStatus = getWatcherStatus();
     let authStatus = { authenticated: false };
 
     if (isAuthenticated()) {
@@ -20,14 +29,28 @@ router.get('/status', async (req, res) => {
           email: profile.emailAddress
         };
       } catch (error) {
+        if (isReauthError(error)) pauseForReauth(error);
         authStatus = { authenticated: false, error: error.message };
       }
     }
 
+    // Set when Google rejected the stored grant; the watcher stays paused
+    // until /auth/google is completed for this account
+    authStatus.reauthRequired = getReauthRequired();
+    const watcherStatus = getWatcherStatus();
+
     res.json({
+      account: getCurrentAccountId(),
       auth: authStatus,
-      openai: { ready: isOpenAIReady() },
+      classifier: await getClassifierStatus(),
       watcher: watcherStatus,
+      gmailQuota: getGmailQuotaStatus(),
+      shadowMode: await isShadowMode(),
+      quarantine: getQuarantineConfig(),
+      push: await getPushStatus(),
+      contacts: await getContactsStatus(),
+      stateStore: await getStateStoreName(),
+      policy: await getPolicies(),
       labels: getLabelIds()
     });
   } catch (error) {
@@ -37,7 +60,7 @@ router.get('/status', async (req, res) => {
 });
 
 // Start the email watcher
-router.post('/watcher/start', async (req, res) => {
+router.post('/watcher/start', requireRole('operator'), async (req, res) => {
   try {
     if (isWatcherRunning()) {
       return res.json({ success: true, message: 'Watcher already running' });
@@ -51,35 +74,51 @@ router.post('/watcher/start', async (req, res) => {
   }
 });
 
-// Trigger a single poll (for Cron)
-router.get('/watcher/poll', async (req, res) => {
+// Trigger a single poll. Unscoped, this polls every connected account; under
+// /api/accounts/:accountId only that one.
+async function pollAccounts(req, res) {
   try {
-    if (isWatcherRunning()) {
-      return res.json({ success: true, message: 'Watcher already running' });
+    const accounts = req.account ? [req.account] : await listAccounts();
+    const results = [];
+
+    for (const account of accounts) {
+      results.push(await runWithAccount(account.id, async () => {
+        if (isWatcherRunning()) {
+          return { account: account.id, message: 'Watcher already running' };
+        }
+
+        await poll();
+        const stats = getWatcherStatus();
+        return {
+          account: account.id,
+          processed: stats.totalProcessed,
+          lastRun: stats.lastRun,
+          reauthRequired: stats.pausedForReauth
+        };
+      }));
     }
 
-    // Check for auth header to prevent unauthorized access if needed
-    // For now, we assume Vercel Cron protection or open access
-
-    await poll();
-    const stats = getWatcherStatus();
-
     res.json({
       success: true,
       message: 'Poll completed',
       stats: {
-        processed: stats.totalProcessed,
-        lastRun: stats.lastRun
-      }
+        processed: results.reduce((sum, r) => sum + (r.processed || 0), 0),
+        lastRun: new Date().toISOString()
+      },
+      accounts: results
     });
   } catch (error) {
     logger.error('Poll error:', error);
     res.status(500).json({ success: false, error: error.message });
   }
-});
+}
+
+// GET is for Cron (CRON_SECRET) and API keys; signed-in browsers POST
+router.get('/watcher/poll', requireRole('operator', { allowCron: true, allowSession: false }), pollAccounts);
+router.post('/watcher/poll', requireRole('operator', { allowCron: true }), pollAccounts);
 
 // Stop the email watcher
-router.post('/watcher/stop', (req, res) => {
+router.post('/watcher/stop', requireRole('operator'), (req, res) => {
   try {
     const stopped = stopWatcher();
     res.json({
@@ -93,7 +132,7 @@ router.post('/watcher/stop', (req, res) => {
 });
 
 // Get recent emails (for debugging)
-router.get('/emails/recent', async (req, res) => {
+router.get('/emails/recent', requireRole('read'), async (req, res) => {
   try {
     if (!isAuthenticated()) {
       return res.status(401).json({ error: 'Not authenticated' });
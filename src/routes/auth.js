@@ -1,34 +1,90 @@
 import { Router } from 'express';
-import { getAuthUrl, handleAuthCallback, isAuthenticated, getProfile } from '../services/gmail.js';
-import { clearTokens } from '../services/tokenStorage.js';
+import { getAuthUrl, exchangeAuthCode, completeAuth, isAuthenticated, getProfile, getReauthRequired } from '../services/gmail.js';
+import { resumeAfterReauth } from '../services/emailWatcher.js';
+import { getAccount, saveAccount, disconnectAccount } from '../services/accounts.js';
+import { DEFAULT_ACCOUNT, isValidAccountId, runWithAccount } from '../services/accountContext.js';
+import {
+  getPrincipal,
+  isAdminIdentity,
+  requireRole,
+  startSession,
+  endSession,
+  beginOAuthFlow,
+  consumeOAuthFlow
+} from '../middleware/auth.js';
+import { escapeHtml } from '../html.js';
 import logger from '../logger.js';
 
 const router = Router();
 
-// Start OAuth flow
+// Start OAuth flow; ?account=<id> connects an additional mailbox
 router.get('/google', (req, res) => {
-  const authUrl = getAuthUrl();
-  logger.info('Redirecting to Google OAuth');
-  res.redirect(authUrl);
+  const accountId = req.query.account || DEFAULT_ACCOUNT;
+  if (!isValidAccountId(accountId)) {
+    return res.status(400).send('Invalid account id: use lowercase letters, digits, "-" or "_"');
+  }
+
+  try {
+    const flow = beginOAuthFlow(req, res, accountId);
+    const authUrl = runWithAccount(accountId, () => getAuthUrl(flow));
+    logger.info(`Redirecting to Google OAuth for account ${accountId}`);
+    res.redirect(authUrl);
+  } catch (error) {
+    logger.error('OAuth start error:', error);
+    res.status(500).send(`Cannot start authentication: ${escapeHtml(error.message)}`);
+  }
 });
 
-// OAuth callback
+// OAuth callback; only completes the flow this browser started at /google,
+// which also says which account is being connected
 router.get('/google/callback', async (req, res) => {
-  const { code, error } = req.query;
+  const { code, error, state } = req.query;
+  const flow = consumeOAuthFlow(req, res, state);
 
   if (error) {
     logger.error('OAuth error:', error);
-    return res.status(400).send(`Authentication error: ${error}`);
+    // The query string is the attacker's to choose
+    return res.status(400).send(`Authentication error: ${escapeHtml(error)}`);
+  }
+
+  if (!flow) {
+    logger.warn('Rejected OAuth callback with a missing or mismatched state');
+    return res.status(400).send('Invalid or expired authentication request. Start again from /auth/google.');
   }
 
   if (!code) {
     return res.status(400).send('No authorization code received');
   }
 
+  const { accountId, codeVerifier } = flow;
+
   try {
-    await handleAuthCallback(code);
-    logger.info('OAuth successful');
+    const { tokens, email } = await exchangeAuthCode(code, codeVerifier);
+
+    // Completing OAuth is also how admins sign in, so only admin identities
+    // (or an admin already signed in, adding a mailbox) may connect
+    const signedInAdmin = getPrincipal(req)?.role === 'admin';
+    if (!signedInAdmin && !(await isAdminIdentity(email))) {
+      logger.warn(`Rejected OAuth for account ${accountId} from ${email}: not an admin`);
+      return res.status(403).send(`${escapeHtml(email)} is not allowed to use this email filter`);
+    }
+
+    const existing = await getAccount(accountId);
+    if (existing?.email && existing.email.toLowerCase() !== email.toLowerCase()) {
+      return res.status(409).send(
+        `Account ${accountId} is connected to ${escapeHtml(existing.email)}. Disconnect it first, or connect ${escapeHtml(email)} with /auth/google?account=&lt;another id&gt;`
+      );
+    }
 
+    const resumed = await runWithAccount(accountId, async () => {
+      await completeAuth(tokens);
+      return resumeAfterReauth();
+    });
+    await saveAccount(accountId, { email });
+    if (!signedInAdmin) {
+      startSession(req, res, email);
+    }
+    logger.info(`OAuth successful for account ${accountId}`);
     res.send(`
       <!DOCTYPE html>
       <html>
@@ -42,48 +98,71 @@ router.get('/google/callback', async (req, res) => {
         </head>
         <body>
           <h1 class="success">✓ Authentication Successful</h1>
-          <p>Your Gmail account has been connected. The email filter is ready to start.</p>
-          <p>
-            <a href="/api/status">View Status</a> |
-            <a href="/api/watcher/start" onclick="fetch('/api/watcher/start', {method:'POST'}).then(()=>location.reload()); return false;">Start Watcher</a>
-          </p>
+          <p>${escapeHtml(email)} has been connected as account <strong>${accountId}</strong>. ${resumed ? 'The paused watcher has been restarted.' : 'The email filter is ready to start.'}</p>
+          <p><a href="/dashboard">Open the dashboard</a> to start the watcher and review decisions.</p>
         </body>
       </html>
     `);
   } catch (err) {
     logger.error('OAuth callback error:', err);
-    res.status(500).send(`Authentication failed: ${err.message}`);
+    res.status(500).send(`Authentication failed: ${escapeHtml(err.message)}`);
   }
 });
 
-// Check auth status
-router.get('/status', async (req, res) => {
+// Check auth status (?account=<id>, default account otherwise)
+router.get('/status', requireRole('read'), async (req, res) => {
+  const accountId = req.query.account || DEFAULT_ACCOUNT;
+  if (!isValidAccountId(accountId)) {
+    return res.status(400).json({ error: 'Invalid account id' });
+  }
+
   try {
-    if (!isAuthenticated()) {
-      return res.json({ authenticated: false });
-    }
+    const status = await runWithAccount(accountId, async () => {
+      if (!isAuthenticated()) {
+        return { authenticated: false, reauthRequired: getReauthRequired() };
+      }
 
-    const profile = await getProfile();
-    res.json({
-      authenticated: true,
-      email: profile.emailAddress,
-      messagesTotal: profile.messagesTotal
+      const profile = await getProfile();
+      return {
+        authenticated: true,
+        email: profile.emailAddress,
+        messagesTotal: profile.messagesTotal
+      };
     });
+    res.json({ account: accountId, ...status });
   } catch (error) {
-    res.json({ authenticated: false, error: error.message });
+    res.json({ account: accountId, authenticated: false, error: error.message });
   }
 });
 
-// Logout
-router.post('/logout', async (req, res) => {
+// Logout (?account=<id>, default account otherwise): disconnects the mailbox
+router.post('/logout', requireRole('admin'), async (req, res) => {
+  const accountId = req.query.account || DEFAULT_ACCOUNT;
+  if (!isValidAccountId(accountId)) {
+    return res.status(400).json({ success: false, error: 'Invalid account id' });
+  }
+
   try {
-    await clearTokens();
-    logger.info('Logged out, tokens cleared');
-    res.json({ success: true, message: 'Logged out successfully' });
+    const { revoked, envTokensRemain } = await disconnectAccount(accountId);
+    logger.info(`Logged out account ${accountId}, tokens ${revoked ? 'revoked and ' : ''}cleared`);
+    res.json({
+      success: true,
+      message: 'Logged out successfully',
+      revoked,
+      ...(envTokensRemain && {
+        warning: 'GMAIL_TOKENS is still set; it is now ignored, but remove it from the environment'
+      })
+    });
   } catch (error) {
     logger.error('Logout error:', error);
     res.status(500).json({ success: false, error: error.message });
   }
 });
 
+// End the admin session in this browser; the mailbox stays connected
+router.post('/signout', (req, res) => {
+  endSession(req, res);
+  res.json({ success: true, message: 'Signed out' });
+});
+
 export default router;
@@ -0,0 +1,148 @@
+import { Router } from 'express';
+import {
+  listCategories,
+  getCategory,
+  createCategory,
+  updateCategory,
+  deleteCategory,
+  validateCategory
+} from '../services/categories.js';
+import { listRules } from '../services/rules.js';
+import { listSenderLists } from '../services/senders.js';
+import { listSenderOverrides } from '../services/feedback.js';
+import { isAuthenticated, ensureLabels } from '../services/gmail.js';
+import { forEachAccount } from '../services/accounts.js';
+import logger from '../logger.js';
+
+const router = Router();
+
+// Keep Gmail labels in step with the registry, in every connected mailbox
+async function syncLabels() {
+  await forEachAccount(async () => {
+    if (isAuthenticated()) {
+      await ensureLabels();
+    }
+  });
+}
+
+// List all categories
+router.get('/', async (req, res) => {
+  try {
+    const categories = await listCategories();
+    res.json({ count: categories.length, categories });
+  } catch (error) {
+    logger.error('List categories error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Get a single category
+router.get('/:name', async (req, res) => {
+  try {
+    const category = await getCategory(req.params.name);
+    if (!category) {
+      return res.status(404).json({ error: 'Category not found' });
+    }
+    res.json(category);
+  } catch (error) {
+    logger.error('Get category error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Create a category (its Gmail label is created immediately if authenticated)
+router.post('/', async (req, res) => {
+  try {
+    const errors = await validateCategory(req.body);
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Invalid category', details: errors });
+    }
+
+    const category = await createCategory(req.body);
+    await syncLabels();
+    res.status(201).json(category);
+  } catch (error) {
+    logger.error('Create category error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Update a category's label, description or action
+router.put('/:name', async (req, res) => {
+  try {
+    const existing = await getCategory(req.params.name);
+    if (!existing) {
+      return res.status(404).json({ error: 'Category not found' });
+    }
+
+    const errors = await validateCategory(
+      { ...existing, ...req.body, name: existing.name },
+      { existingName: existing.name }
+    );
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Invalid category', details: errors });
+    }
+
+    const category = await updateCategory(existing.name, req.body);
+    await syncLabels();
+    res.json(category);
+  } catch (error) {
+    logger.error('Update category error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Sender list entries and learned overrides that send mail to a category, in
+// every connected mailbox
+async function findSenderReferences(name) {
+  const senderLists = [];
+  const overrides = [];
+  await forEachAccount(async (account) => {
+    for (const entry of await listSenderLists()) {
+      if (entry.category === name) {
+        senderLists.push({ account: account.id, id: entry.id, type: entry.type, value: entry.value });
+      }
+    }
+    for (const override of await listSenderOverrides()) {
+      if (override.category === name) {
+        overrides.push({ account: account.id, sender: override.sender });
+      }
+    }
+  });
+  return { senderLists, overrides };
+}
+
+// Delete a category (refused while rules, sender lists or overrides still target it)
+router.delete('/:name', async (req, res) => {
+  try {
+    const rules = await listRules();
+    const referencing = rules.filter(rule => rule.category === req.params.name);
+    if (referencing.length > 0) {
+      return res.status(409).json({
+        error: 'Category is used by rules',
+        rules: referencing.map(rule => ({ id: rule.id, name: rule.name }))
+      });
+    }
+
+    const { senderLists, overrides } = await findSenderReferences(req.params.name);
+    if (senderLists.length > 0 || overrides.length > 0) {
+      return res.status(409).json({
+        error: 'Category is used by sender lists or overrides',
+        senderLists,
+        overrides
+      });
+    }
+
+    const deleted = await deleteCategory(req.params.name);
+    if (!deleted) {
+      return res.status(404).json({ error: 'Category not found' });
+    }
+    await syncLabels();
+    res.json({ success: true });
+  } catch (error) {
+    logger.error('Delete category error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+export default router;
@@ -0,0 +1,35 @@
+import { Router } from 'express';
+import { listContacts, getContactsStatus, refreshContacts } from '../services/contacts.js';
+import { isAuthenticated } from '../services/gmail.js';
+import logger from '../logger.js';
+
+const router = Router();
+
+// Index status and known correspondents (?search= matches address or name)
+router.get('/', async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit) || 100, 1000);
+    const contacts = await listContacts({ search: req.query.search, limit });
+    res.json({ ...(await getContactsStatus()), count: contacts.length, contacts });
+  } catch (error) {
+    logger.error('List contacts error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Rebuild the index from sent mail (and Google contacts, if granted) now
+router.post('/refresh', async (req, res) => {
+  try {
+    if (!isAuthenticated()) {
+      return res.status(401).json({ error: 'Not authenticated' });
+    }
+
+    const status = await refreshContacts();
+    res.json({ success: true, ...status });
+  } catch (error) {
+    logger.error('Refresh contacts error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+export default router;
@@ -0,0 +1,455 @@
+import { Router } from 'express';
+import { listCategories } from '../services/categories.js';
+import { FIELDS, OPERATORS } from '../services/rules.js';
+import { getPrincipal } from '../middleware/auth.js';
+import { escapeHtml } from '../html.js';
+import logger from '../logger.js';
+
+const router = Router();
+
+// JSON that is safe to embed in a <script> element
+function embedJson(value) {
+  return JSON.stringify(value).replace(/</g, '\\u003c');
+}
+
+const STYLES = `
+  body { font-family: system-ui, sans-serif; max-width: 1200px; margin: 30px auto; padding: 0 20px; color: #1f2937; }
+  header { display: flex; align-items: center; gap: 12px; flex-wrap: wrap; }
+  header h1 { margin: 0 auto 0 0; }
+  a { color: #3b82f6; text-decoration: none; }
+  .card { background: #f9fafb; padding: 16px 20px; border-radius: 8px; margin: 16px 0; }
+  .card h3 { margin-top: 0; }
+  .row { display: flex; gap: 8px; align-items: center; flex-wrap: wrap; }
+  .stats { display: flex; gap: 12px; flex-wrap: wrap; margin-top: 12px; }
+  .stat { background: #fff; border: 1px solid #e5e7eb; border-radius: 6px; padding: 8px 14px; }
+  .stat strong { display: block; font-size: 1.4em; }
+  .warning { background: #fef3c7; border: 1px solid #f59e0b; padding: 10px 14px; border-radius: 6px; }
+  table { width: 100%; border-collapse: collapse; font-size: 0.9em; }
+  th, td { text-align: left; padding: 6px 8px; border-bottom: 1px solid #e5e7eb; vertical-align: top; }
+  td.reason { color: #6b7280; max-width: 280px; }
+  td.reason .signals { color: #b45309; }
+  button { cursor: pointer; border: 1px solid #d1d5db; background: #fff; border-radius: 4px; padding: 3px 8px; margin: 1px; }
+  button.primary { background: #3b82f6; border-color: #3b82f6; color: #fff; }
+  input, select { padding: 4px; border: 1px solid #d1d5db; border-radius: 4px; }
+  .tag { background: #e5e7eb; border-radius: 4px; padding: 1px 6px; white-space: nowrap; }
+  .muted { color: #6b7280; }
+  #toast { position: fixed; bottom: 20px; right: 20px; padding: 10px 16px; border-radius: 6px; color: #fff; display: none; }
+`;
+
+// Browser side of the dashboard. Everything shown comes from the JSON API
+// (with the session cookie); message text is only ever set as text nodes.
+const CLIENT = `
+  var config = JSON.parse(document.getElementById('config').textContent);
+  var accountId = null;
+
+  function el(tag, attrs) {
+    var node = document.createElement(tag);
+    Object.keys(attrs || {}).forEach(function (key) {
+      if (key.slice(0, 2) === 'on') node.addEventListener(key.slice(2), attrs[key]);
+      else if (attrs[key] !== undefined && attrs[key] !== null && attrs[key] !== false) node.setAttribute(key, attrs[key]);
+    });
+    for (var i = 2; i < arguments.length; i++) {
+      [].concat(arguments[i]).forEach(function (child) {
+        if (child === null || child === undefined || child === false) return;
+        node.appendChild(typeof child === 'object' ? child : document.createTextNode(String(child)));
+      });
+    }
+    return node;
+  }
+
+  function fill(id) {
+    var node = document.getElementById(id);
+    var children = [].concat.apply([], [].slice.call(arguments, 1)).filter(function (child) {
+      return child !== null && child !== undefined && child !== false;
+    });
+    node.replaceChildren.apply(node, children);
+  }
+
+  function toast(message, isError) {
+    var node = document.getElementById('toast');
+    node.textContent = message;
+    node.style.background = isError ? '#dc2626' : '#16a34a';
+    node.style.display = 'block';
+    clearTimeout(toast.timer);
+    toast.timer = setTimeout(function () { node.style.display = 'none'; }, 4000);
+  }
+
+  function api(method, path, body) {
+    return fetch(path, {
+      method: method,
+      credentials: 'same-origin',
+      headers: body ? { 'content-type': 'application/json' } : {},
+      body: body ? JSON.stringify(body) : undefined
+    }).then(function (res) {
+      return res.json().catch(function () { return {}; }).then(function (data) {
+        if (!res.ok) {
+          var error = new Error((data.error || res.statusText) + (data.details ? ': ' + data.details.join('; ') : ''));
+          error.status = res.status;
+          throw error;
+        }
+        return data;
+      });
+    });
+  }
+
+  function run(promise, message) {
+    return promise
+      .then(function () { if (message) toast(message); return refresh(); })
+      .catch(function (error) { toast(error.message, true); });
+  }
+
+  function base() {
+    return '/api/accounts/' + encodeURIComponent(accountId);
+  }
+
+  function labelOf(name) {
+    var category = config.categories.find(function (c) { return c.name === name; });
+    return category ? category.label : name;
+  }
+
+  function loadAccounts() {
+    return api('GET', '/api/accounts').then(function (data) {
+      if (data.accounts.length === 0) {
+        fill('accounts', el('a', { href: '/auth/google' }, 'Connect a Gmail account'));
+        return;
+      }
+      var saved = localStorage.getItem('ef_account');
+      accountId = data.accounts.some(function (a) { return a.id === saved; }) ? saved : data.accounts[0].id;
+      fill('accounts', el('select', {
+        onchange: function (event) {
+          accountId = event.target.value;
+          localStorage.setItem('ef_account', accountId);
+          refresh();
+        }
+      }, data.accounts.map(function (a) {
+        return el('option', { value: a.id, selected: a.id === accountId }, a.id + (a.email ? ' (' + a.email + ')' : ''));
+      })));
+      document.getElementById('app').hidden = false;
+      return refresh();
+    });
+  }
+
+  function renderStatus(status) {
+    var watcher = status.watcher;
+    var reauth = status.auth.reauthRequired;
+    fill('auth',
+      reauth
+        ? el('div', { class: 'warning' }, 'Google rejected this account\\'s access (' + reauth.reason + '). The watcher is paused until you ',
+            el('a', { href: '/auth/google?account=' + encodeURIComponent(accountId) }, 're-authenticate'), '.')
+        : status.auth.authenticated
+          ? el('span', { class: 'muted' }, 'Connected as ' + status.auth.email)
+          : el('a', { href: '/auth/google?account=' + encodeURIComponent(accountId) }, 'Connect this account')
+    );
+
+    fill('watcher',
+      el('span', {}, watcher.isRunning ? 'Running' : 'Stopped', ' · ', watcher.mode, ' mode',
+        status.shadowMode ? ' · shadow mode (nothing is applied)' : '',
+        watcher.classificationPaused ? ' · classification paused, the provider keeps failing' : '',
+        watcher.deferredCount
+          ? ' · ' + watcher.deferredCount + (watcher.deferredCount === 1 ? ' message' : ' messages') + ' waiting to be classified'
+          : '',
+        ' · last run ', watcher.lastRun ? new Date(watcher.lastRun).toLocaleString() : 'never')
+    );
+
+    var counts = Object.keys(watcher.byCategory).map(function (name) {
+      return el('div', { class: 'stat' }, el('strong', {}, watcher.byCategory[name]), labelOf(name));
+    });
+    fill('stats',
+      el('div', { class: 'stat' }, el('strong', {}, watcher.totalProcessed), 'processed'),
+      counts,
+      el('div', { class: 'stat' }, el('strong', {}, watcher.ruleMatches), 'by rules'),
+      el('div', { class: 'stat' }, el('strong', {}, watcher.corrections), 'corrections'),
+      el('div', { class: 'stat' }, el('strong', {}, watcher.errors), 'errors')
+    );
+  }
+
+  function renderDecisions(data) {
+    var rows = data.decisions.map(function (d) {
+      var moves = config.categories
+        .filter(function (c) { return c.name !== (d.correctedTo || d.category); })
+        .map(function (c) {
+          return el('button', {
+            title: 'Move to ' + c.label + ' in Gmail',
+            onclick: function () {
+              run(api('POST', base() + '/decisions/' + encodeURIComponent(d.messageId) + '/relabel', { category: c.name }),
+                'Moved to ' + c.label);
+            }
+          }, '→ ' + c.label);
+        });
+      var undo = !d.shadow && !d.undoneAt && el('button', {
+        onclick: function () {
+          run(api('POST', base() + '/decisions/' + encodeURIComponent(d.messageId) + '/undo'), 'Undone');
+        }
+      }, 'Undo');
+
+      return el('tr', {},
+        el('td', { class: 'muted' }, new Date(d.timestamp).toLocaleString()),
+        el('td', {}, d.from),
+        el('td', {}, d.subject),
+        el('td', {}, el('span', { class: 'tag' }, labelOf(d.category)),
+          d.correctedTo ? el('div', { class: 'muted' }, 'corrected to ' + labelOf(d.correctedTo)) : null,
+          d.shadow ? el('div', { class: 'muted' }, 'shadow') : null,
+          d.undoneAt ? el('div', { class: 'muted' }, 'undone') : null),
+        el('td', {}, Math.round(d.confidence * 100) + '%'),
+        el('td', { class: 'reason' }, d.reason, el('div', {}, 'by ' + d.decidedBy.type +
+          (d.decidedBy.promptVersion ? ' (prompt v' + d.decidedBy.promptVersion + ')' : '')),
+          d.headerSignals && d.headerSignals.warnings.length
+            ? el('div', { class: 'signals' }, '⚠ ' + d.headerSignals.warnings.join('; '))
+            : null),
+        el('td', {}, moves, undo)
+      );
+    });
+    fill('decisions', rows.length ? rows : el('tr', {}, el('td', { colspan: 7, class: 'muted' }, 'No decisions yet')));
+  }
+
+  function renderOverrides(data) {
+    var rows = data.overrides.map(function (o) {
+      return el('tr', {},
+        el('td', {}, o.sender),
+        el('td', {}, labelOf(o.category)),
+        el('td', {}, o.corrections),
+        el('td', {}, el('button', {
+          onclick: function () {
+            run(api('DELETE', base() + '/feedback/overrides/' + encodeURIComponent(o.sender)), 'Override removed');
+          }
+        }, 'Remove'))
+      );
+    });
+    fill('overrides', rows.length ? rows : el('tr', {}, el('td', { colspan: 4, class: 'muted' }, 'No learned sender overrides')));
+  }
+
+  function renderSenderLists(data) {
+    var rows = data.entries.map(function (e) {
+      return el('tr', {},
+        el('td', {}, el('span', { class: 'tag' }, e.type)),
+        el('td', {}, e.value),
+        el('td', {}, e.category ? labelOf(e.category) : el('span', { class: 'muted' }, 'default')),
+        el('td', {}, e.note),
+        el('td', {}, el('button', {
+          onclick: function () {
+            run(api('DELETE', base() + '/senders/lists/' + encodeURIComponent(e.id)), 'Removed ' + e.value);
+          }
+        }, 'Remove'))
+      );
+    });
+    fill('sender-lists', rows.length ? rows : el('tr', {}, el('td', { colspan: 5, class: 'muted' }, 'No allowed or blocked senders')));
+  }
+
+  function describeCondition(c) {
+    return (c.field === 'header' ? c.header : c.field) + ' ' + c.operator + ' "' + c.value + '"';
+  }
+
+  function renderRules(data) {
+    var rows = data.rules.map(function (rule) {
+      return el('tr', {},
+        el('td', {}, el('input', {
+          type: 'checkbox',
+          checked: rule.enabled,
+          onchange: function (event) {
+            run(api('PUT', '/api/rules/' + rule.id, { enabled: event.target.checked }), 'Rule updated');
+          }
+        })),
+        el('td', {}, rule.name),
+        el('td', {}, rule.conditions.map(describeCondition).join(rule.match === 'any' ? ' or ' : ' and ')),
+        el('td', {}, el('span', { class: 'tag' }, labelOf(rule.category))),
+        el('td', {}, rule.priority),
+        el('td', {}, el('button', {
+          onclick: function () {
+            if (confirm('Delete rule "' + rule.name + '"?')) run(api('DELETE', '/api/rules/' + rule.id), 'Rule deleted');
+          }
+        }, 'Delete'))
+      );
+    });
+    fill('rules', rows.length ? rows : el('tr', {}, el('td', { colspan: 6, class: 'muted' }, 'No rules')));
+  }
+
+  function refresh() {
+    if (!accountId) return Promise.resolve();
+    var filters = new URLSearchParams({ limit: 50 });
+    var category = document.getElementById('filter-category').value;
+    var sender = document.getElementById('filter-sender').value.trim();
+    if (category) filters.set('category', category);
+    if (sender) filters.set('sender', sender);
+
+    return Promise.all([
+      api('GET', base() + '/status').then(renderStatus),
+      api('GET', base() + '/decisions?' + filters).then(renderDecisions),
+      api('GET', base() + '/feedback/overrides').then(renderOverrides),
+      api('GET', base() + '/senders/lists').then(renderSenderLists),
+      api('GET', '/api/rules').then(renderRules)
+    ]).catch(function (error) { toast(error.message, true); });
+  }
+
+  function setupControls() {
+    document.getElementById('start').onclick = function () { run(api('POST', base() + '/watcher/start'), 'Watcher started'); };
+    document.getElementById('stop').onclick = function () { run(api('POST', base() + '/watcher/stop'), 'Watcher stopped'); };
+    document.getElementById('poll').onclick = function () { run(api('POST', base() + '/watcher/poll'), 'Poll finished'); };
+    document.getElementById('signout').onclick = function () {
+      api('POST', '/auth/signout').then(function () { location.reload(); });
+    };
+    document.getElementById('filter-category').onchange = refresh;
+    document.getElementById('filter-sender').onchange = refresh;
+
+    var fieldSelect = document.getElementById('rule-field');
+    fieldSelect.onchange = function () {
+      document.getElementById('rule-header').hidden = fieldSelect.value !== 'header';
+    };
+    document.getElementById('rule-form').onsubmit = function (event) {
+      event.preventDefault();
+      var form = event.target;
+      var value = function (name) { return form.elements.namedItem(name).value; };
+      var condition = { field: value('field'), operator: value('operator'), value: value('value') };
+      if (condition.field === 'header') condition.header = value('header');
+      run(api('POST', '/api/rules', {
+        name: value('name'),
+        category: value('category'),
+        priority: Number(value('priority')) || 0,
+        conditions: [condition]
+      }).then(function () { form.reset(); }), 'Rule created');
+    };
+    document.getElementById('sender-list-form').onsubmit = function (event) {
+      event.preventDefault();
+      var form = event.target;
+      var value = function (name) { return form.elements.namedItem(name).value; };
+      run(api('POST', base() + '/senders/lists', {
+        type: value('type'),
+        value: value('value'),
+        category: value('category') || undefined,
+        note: value('note')
+      }).then(function () { form.reset(); }), 'Sender list updated');
+    };
+  }
+
+  setupControls();
+  loadAccounts().catch(function (error) {
+    if (error.status === 401) {
+      document.getElementById('signin').hidden = false;
+    } else {
+      toast(error.message, true);
+    }
+  });
+
+  // Live stats: refresh while the tab is visible
+  setInterval(function () {
+    if (document.visibilityState === 'visible') refresh();
+  }, 15000);
+`;
+
+function renderDashboard({ categories, signedIn }) {
+  const options = values => values.map(v => `<option value="${v}">${v}</option>`).join('');
+  const categoryOptions = categories
+    .map(c => `<option value="${c.name}">${escapeHtml(c.label)}</option>`)
+    .join('');
+  const config = { categories: categories.map(({ name, label, action }) => ({ name, label, action })) };
+
+  return `
+    <!DOCTYPE html>
+    <html>
+      <head>
+        <title>Email Filter Dashboard</title>
+        <meta name="viewport" content="width=device-width, initial-scale=1">
+        <style>${STYLES}</style>
+      </head>
+      <body>
+        <div id="signin" class="card" ${signedIn ? 'hidden' : ''}>
+          <h3>Sign in</h3>
+          <p><a href="/auth/google">Sign in with Google</a> as an admin to use the dashboard.</p>
+        </div>
+
+        <div id="app" hidden>
+          <header>
+            <h1>📧 Email Filter</h1>
+            <span id="accounts"></span>
+            <a href="/auth/google">Add account</a>
+            <button id="signout">Sign out</button>
+          </header>
+
+          <div class="card">
+            <h3>Watcher</h3>
+            <p id="auth"></p>
+            <div class="row">
+              <span id="watcher" class="muted"></span>
+              <button id="start" class="primary">Start</button>
+              <button id="stop">Stop</button>
+              <button id="poll">Poll now</button>
+            </div>
+            <div id="stats" class="stats"></div>
+          </div>
+
+          <div class="card">
+            <h3>Recent decisions</h3>
+            <div class="row">
+              <select id="filter-category"><option value="">All categories</option>${categoryOptions}</select>
+              <input id="filter-sender" placeholder="Sender or domain">
+            </div>
+            <table>
+              <thead><tr><th>When</th><th>From</th><th>Subject</th><th>Category</th><th>Confidence</th><th>Reason</th><th></th></tr></thead>
+              <tbody id="decisions"></tbody>
+            </table>
+          </div>
+
+          <div class="card">
+            <h3>Rules</h3>
+            <table>
+              <thead><tr><th>On</th><th>Name</th><th>Conditions</th><th>Category</th><th>Priority</th><th></th></tr></thead>
+              <tbody id="rules"></tbody>
+            </table>
+            <form id="rule-form" class="row" style="margin-top: 12px">
+              <input name="name" placeholder="Rule name" required>
+              <select name="field" id="rule-field">${options(FIELDS)}</select>
+              <input name="header" id="rule-header" placeholder="Header name" hidden>
+              <select name="operator">${options(OPERATORS)}</select>
+              <input name="value" placeholder="Value" required>
+              <select name="category">${categoryOptions}</select>
+              <input name="priority" type="number" placeholder="Priority" style="width: 80px">
+              <button class="primary" type="submit">Add rule</button>
+            </form>
+          </div>
+
+          <div class="card">
+            <h3>Sender overrides</h3>
+            <p class="muted">Senders corrected often enough are classified from your corrections instead of the model.</p>
+            <table>
+              <thead><tr><th>Sender</th><th>Category</th><th>Corrections</th><th></th></tr></thead>
+              <tbody id="overrides"></tbody>
+            </table>
+          </div>
+
+          <div class="card">
+            <h3>Allowed and blocked senders</h3>
+            <p class="muted">Addresses or domains listed here skip the model: allowed mail stays in the inbox, blocked mail goes to junk, unless a category is set.</p>
+            <table>
+              <thead><tr><th>List</th><th>Address or domain</th><th>Category</th><th>Note</th><th></th></tr></thead>
+              <tbody id="sender-lists"></tbody>
+            </table>
+            <form id="sender-list-form" class="row" style="margin-top: 12px">
+              <select name="type"><option value="allow">Allow</option><option value="block">Block</option></select>
+              <input name="value" placeholder="someone@example.com or example.com" required>
+              <select name="category"><option value="">Default category</option>${categoryOptions}</select>
+              <input name="note" placeholder="Note">
+              <button class="primary" type="submit">Add</button>
+            </form>
+          </div>
+        </div>
+
+        <div id="toast"></div>
+        <script id="config" type="application/json">${embedJson(config)}</script>
+        <script>${CLIENT}</script>
+      </body>
+    </html>
+  `;
+}
+
+// The page itself is public; the data behind it needs a session (the page
+// shows a sign-in link when the API answers 401)
+router.get('/', async (req, res) => {
+  try {
+    const categories = await listCategories();
+    res.send(renderDashboard({ categories, signedIn: getPrincipal(req) !== null }));
+  } catch (error) {
+    logger.error('Dashboard error:', error);
+    res.status(500).send(`Dashboard error: ${error.message}`);
+  }
+});
+
+export default router;
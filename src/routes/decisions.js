@@ -0,0 +1,136 @@
+import { Router } from 'express';
+import { queryDecisions, getDecision } from '../services/decisionLog.js';
+import { undoMessage, undoSince } from '../services/undo.js';
+import { relabelMessage } from '../services/actions.js';
+import { getCategory } from '../services/categories.js';
+import { isAuthenticated } from '../services/gmail.js';
+import logger from '../logger.js';
+
+const router = Router();
+
+function parseConfidence(value) {
+  if (value === undefined) return undefined;
+  const number = parseFloat(value);
+  return Number.isNaN(number) ? undefined : number;
+}
+
+function isInvalidDate(value) {
+  return value !== undefined && Number.isNaN(new Date(value).getTime());
+}
+
+// Query the decision audit log
+// ?category=JUNK&sender=example.com&since=2024-01-01&until=...&minConfidence=0.5&maxConfidence=0.9&promptVersion=2&limit=50&offset=0
+router.get('/', async (req, res) => {
+  try {
+    const { category, sender, since, until } = req.query;
+
+    if (isInvalidDate(since) || isInvalidDate(until)) {
+      return res.status(400).json({ error: 'since and until must be valid dates' });
+    }
+
+    const limit = Math.min(parseInt(req.query.limit) || 50, 500);
+    const offset = Math.max(parseInt(req.query.offset) || 0, 0);
+
+    const result = await queryDecisions({
+      category,
+      sender,
+      since,
+      until,
+      minConfidence: parseConfidence(req.query.minConfidence),
+      maxConfidence: parseConfidence(req.query.maxConfidence),
+      promptVersion: parseInt(req.query.promptVersion) || undefined
+    }, { limit, offset });
+
+    res.json(result);
+  } catch (error) {
+    logger.error('Query decisions error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Get the decision for a single message
+router.get('/:messageId', async (req, res) => {
+  try {
+    const decision = await getDecision(req.params.messageId);
+    if (!decision) {
+      return res.status(404).json({ error: 'No decision recorded for this message' });
+    }
+    res.json(decision);
+  } catch (error) {
+    logger.error('Get decision error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Undo everything the filter did in the last N hours: { hours: 24 }
+router.post('/undo', async (req, res) => {
+  try {
+    if (!isAuthenticated()) {
+      return res.status(401).json({ error: 'Not authenticated' });
+    }
+
+    const hours = Number(req.body?.hours);
+    if (!Number.isFinite(hours) || hours <= 0) {
+      return res.status(400).json({ error: 'hours must be a positive number' });
+    }
+
+    const results = await undoSince(hours);
+    res.json({
+      success: true,
+      undone: results.filter(r => r.status === 'undone').length,
+      results
+    });
+  } catch (error) {
+    logger.error('Bulk undo error:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Undo the action taken on a single message
+router.post('/:messageId/undo', async (req, res) => {
+  try {
+    if (!isAuthenticated()) {
+      return res.status(401).json({ error: 'Not authenticated' });
+    }
+
+    const { status, entry } = await undoMessage(req.params.messageId);
+
+    if (status === 'not_found') {
+      return res.status(404).json({ success: false, error: 'No undoable action recorded for this message' });
+    }
+    if (status === 'already_undone') {
+      return res.status(409).json({ success: false, error: 'Action was already undone', undoneAt: entry.undoneAt });
+    }
+
+    res.json({ success: true, messageId: entry.messageId, reverted: entry.inverse });
+  } catch (error) {
+    logger.error('Undo error:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Move a message to another category in Gmail: { category: 'IMPORTANT' }.
+// Overriding the filter's decision counts as a correction.
+router.post('/:messageId/relabel', async (req, res) => {
+  try {
+    if (!isAuthenticated()) {
+      return res.status(401).json({ error: 'Not authenticated' });
+    }
+
+    const category = await getCategory(req.body?.category);
+    if (!category) {
+      return res.status(400).json({ success: false, error: 'category must be the name of a category' });
+    }
+
+    const { decision, correction } = await relabelMessage(req.params.messageId, category.name);
+    res.json({ success: true, decision, correction });
+  } catch (error) {
+    if (error.code === 404) {
+      return res.status(404).json({ success: false, error: 'Message not found' });
+    }
+    logger.error('Relabel error:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+export default router;
@@ -0,0 +1,44 @@
+import { Router } from 'express';
+import { listCorrections, listSenderOverrides, clearSenderOverride } from '../services/feedback.js';
+import logger from '../logger.js';
+
+const router = Router();
+
+// Corrections detected from relabeling in Gmail, newest first
+router.get('/corrections', async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit) || 100, 1000);
+    const corrections = await listCorrections({ limit });
+    res.json({ count: corrections.length, corrections });
+  } catch (error) {
+    logger.error('List corrections error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Senders the filter now classifies from corrections instead of the model
+router.get('/overrides', async (req, res) => {
+  try {
+    const overrides = await listSenderOverrides();
+    res.json({ count: overrides.length, overrides });
+  } catch (error) {
+    logger.error('List overrides error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Forget a learned sender override
+router.delete('/overrides/:sender', async (req, res) => {
+  try {
+    const cleared = await clearSenderOverride(req.params.sender);
+    if (cleared === 0) {
+      return res.status(404).json({ error: 'No override for this sender' });
+    }
+    res.json({ success: true, cleared });
+  } catch (error) {
+    logger.error('Clear override error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+export default router;
@@ -0,0 +1,110 @@
+import { Router } from 'express';
+import {
+  listJobs,
+  getJob,
+  createBackfillJob,
+  cancelJob,
+  resumeJob,
+  hasRunningJob,
+  isResumable,
+  validateBackfill
+} from '../services/jobs.js';
+import { isAuthenticated } from '../services/gmail.js';
+import logger from '../logger.js';
+
+const router = Router();
+
+// List jobs, newest first
+router.get('/', async (req, res) => {
+  try {
+    const jobs = await listJobs();
+    res.json({ count: jobs.length, jobs });
+  } catch (error) {
+    logger.error('List jobs error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Start a backfill: { query, after, before, maxMessages, dryRun, reclassify }
+router.post('/backfill', async (req, res) => {
+  try {
+    if (!isAuthenticated()) {
+      return res.status(401).json({ error: 'Not authenticated' });
+    }
+
+    const errors = validateBackfill(req.body);
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Invalid job', details: errors });
+    }
+    if (await hasRunningJob()) {
+      return res.status(409).json({ error: 'Another job is already running for this account' });
+    }
+
+    const job = await createBackfillJob(req.body);
+    res.status(202).json({ success: true, job });
+  } catch (error) {
+    logger.error('Create backfill error:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Job status and progress (dry runs include their decisions)
+router.get('/:id', async (req, res) => {
+  try {
+    const job = await getJob(req.params.id);
+    if (!job) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+    res.json(job);
+  } catch (error) {
+    logger.error('Get job error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Stop a job after the chunk in progress
+router.post('/:id/cancel', async (req, res) => {
+  try {
+    const existing = await getJob(req.params.id);
+    if (!existing) {
+      return res.status(404).json({ success: false, error: 'Job not found' });
+    }
+    if (existing.status !== 'running' && existing.status !== 'interrupted') {
+      return res.status(409).json({ success: false, error: `Job is ${existing.status}` });
+    }
+
+    const job = await cancelJob(req.params.id);
+    res.json({ success: true, job });
+  } catch (error) {
+    logger.error('Cancel job error:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Continue a cancelled, interrupted or failed job where it stopped
+router.post('/:id/resume', async (req, res) => {
+  try {
+    if (!isAuthenticated()) {
+      return res.status(401).json({ error: 'Not authenticated' });
+    }
+
+    const existing = await getJob(req.params.id);
+    if (!existing) {
+      return res.status(404).json({ success: false, error: 'Job not found' });
+    }
+    if (!isResumable(existing)) {
+      return res.status(409).json({ success: false, error: `Job is ${existing.status} and cannot be resumed` });
+    }
+    if (await hasRunningJob()) {
+      return res.status(409).json({ success: false, error: 'Another job is already running for this account' });
+    }
+
+    const job = await resumeJob(req.params.id);
+    res.status(202).json({ success: true, job });
+  } catch (error) {
+    logger.error('Resume job error:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+export default router;
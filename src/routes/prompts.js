@@ -0,0 +1,77 @@
+import { Router } from 'express';
+import {
+  listPromptVersions,
+  getPromptVersion,
+  validatePromptVersion,
+  createPromptVersion,
+  activatePromptVersion
+} from '../services/prompts.js';
+import { listCategories } from '../services/categories.js';
+import { buildClassificationPrompt } from '../prompts/classification.js';
+import logger from '../logger.js';
+
+const router = Router();
+
+// All prompt versions, without their templates
+router.get('/', async (req, res) => {
+  try {
+    const versions = await listPromptVersions();
+    res.json({
+      activeVersion: versions.find(v => v.active).version,
+      count: versions.length,
+      versions: versions.map(({ template, ...summary }) => summary)
+    });
+  } catch (error) {
+    logger.error('List prompts error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// One version, with the system prompt it renders to for the current categories
+router.get('/:version', async (req, res) => {
+  try {
+    const prompt = await getPromptVersion(req.params.version);
+    if (!prompt) {
+      return res.status(404).json({ error: 'Prompt version not found' });
+    }
+    const preview = buildClassificationPrompt(await listCategories(), prompt);
+    res.json({ ...prompt, preview });
+  } catch (error) {
+    logger.error('Get prompt error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Create a version from { template, variables, note }; anything left out is
+// copied from the active version. { activate: true } switches to it at once.
+router.post('/', async (req, res) => {
+  try {
+    const errors = validatePromptVersion(req.body);
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Invalid prompt version', details: errors });
+    }
+
+    const { activate, ...input } = req.body;
+    const prompt = await createPromptVersion(input, { activate: activate === true });
+    res.status(201).json(prompt);
+  } catch (error) {
+    logger.error('Create prompt error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Make a version the one the classifier uses (also for rolling back)
+router.post('/:version/activate', async (req, res) => {
+  try {
+    const prompt = await activatePromptVersion(req.params.version);
+    if (!prompt) {
+      return res.status(404).json({ error: 'Prompt version not found' });
+    }
+    res.json({ success: true, activeVersion: prompt.version });
+  } catch (error) {
+    logger.error('Activate prompt error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+export default router;
@@ -0,0 +1,116 @@
+import { Router } from 'express';
+import {
+  isPushEnabled,
+  getPushStatus,
+  startPushWatch,
+  stopPushWatch,
+  verifyPushRequest,
+  parsePushMessage,
+  recordPushNotification
+} from '../services/push.js';
+import { syncFromPush } from '../services/emailWatcher.js';
+import { listAccounts } from '../services/accounts.js';
+import { runWithAccount } from '../services/accountContext.js';
+import { isAuthenticated, getProfile } from '../services/gmail.js';
+import { requireRole } from '../middleware/auth.js';
+import logger from '../logger.js';
+
+const router = Router();
+
+// Which connected account a notification is for. Accounts connected before
+// addresses were recorded are matched against their Gmail profile.
+async function findAccountByEmail(emailAddress) {
+  for (const account of await listAccounts()) {
+    if (account.email) {
+      if (account.email.toLowerCase() === emailAddress) return account;
+      continue;
+    }
+
+    const profile = await runWithAccount(account.id, () => (isAuthenticated() ? getProfile() : null));
+    if (profile?.emailAddress?.toLowerCase() === emailAddress) return account;
+  }
+  return null;
+}
+
+// Pub/Sub push endpoint. Anything other than a 2xx makes Pub/Sub redeliver,
+// so notifications we can't use are acknowledged rather than rejected.
+router.post('/notify', async (req, res) => {
+  try {
+    const rejection = await verifyPushRequest({
+      token: req.query.token,
+      authorization: req.headers.authorization
+    });
+    if (rejection) {
+      logger.warn(`Rejected push notification: ${rejection}`);
+      return res.status(403).json({ error: rejection });
+    }
+
+    const notification = parsePushMessage(req.body);
+    if (!notification) {
+      return res.status(400).json({ error: 'Invalid Pub/Sub message' });
+    }
+
+    const account = await findAccountByEmail(notification.emailAddress);
+    if (!account) {
+      logger.warn(`Push notification for unknown mailbox ${notification.emailAddress}`);
+      return res.status(204).end();
+    }
+
+    // Sync before responding: serverless functions stop once the response is sent
+    const synced = await runWithAccount(account.id, async () => {
+      await recordPushNotification();
+      return syncFromPush(notification.historyId);
+    });
+
+    logger.info(`Push notification for ${account.id} (history ${notification.historyId})${synced ? '' : ', already synced'}`);
+    res.status(204).end();
+  } catch (error) {
+    logger.error('Push notification error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Push watch status for the account
+router.get('/', requireRole('read'), async (req, res) => {
+  try {
+    res.json(await getPushStatus());
+  } catch (error) {
+    logger.error('Push status error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Start (or renew) the Gmail watch for the account
+router.post('/watch', requireRole('operator'), async (req, res) => {
+  try {
+    if (!isPushEnabled()) {
+      return res.status(400).json({ error: 'Push mode is off: set GMAIL_PUSH_TOPIC' });
+    }
+    if (!isAuthenticated()) {
+      return res.status(401).json({ error: 'Not authenticated' });
+    }
+
+    await startPushWatch();
+    res.json({ success: true, ...(await getPushStatus()) });
+  } catch (error) {
+    logger.error('Start push watch error:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Stop Gmail from publishing changes for the account
+router.post('/stop', requireRole('operator'), async (req, res) => {
+  try {
+    if (!isAuthenticated()) {
+      return res.status(401).json({ error: 'Not authenticated' });
+    }
+
+    await stopPushWatch();
+    res.json({ success: true, ...(await getPushStatus()) });
+  } catch (error) {
+    logger.error('Stop push watch error:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+export default router;
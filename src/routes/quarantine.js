@@ -0,0 +1,62 @@
+import { Router } from 'express';
+import {
+  listQuarantine,
+  releaseFromQuarantine,
+  sweepQuarantine,
+  getQuarantineConfig
+} from '../services/quarantine.js';
+import { isAuthenticated } from '../services/gmail.js';
+import logger from '../logger.js';
+
+const router = Router();
+
+// List quarantined messages and when they expire
+router.get('/', async (req, res) => {
+  try {
+    const { entries, lastSweepAt } = await listQuarantine();
+    res.json({
+      config: getQuarantineConfig(),
+      lastSweepAt,
+      count: entries.length,
+      entries
+    });
+  } catch (error) {
+    logger.error('List quarantine error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Run the expiry sweep now
+router.post('/sweep', async (req, res) => {
+  try {
+    if (!isAuthenticated()) {
+      return res.status(401).json({ error: 'Not authenticated' });
+    }
+
+    const result = await sweepQuarantine({ force: true });
+    res.json({ success: true, ...result });
+  } catch (error) {
+    logger.error('Quarantine sweep error:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Release a message back to the inbox
+router.post('/:messageId/release', async (req, res) => {
+  try {
+    if (!isAuthenticated()) {
+      return res.status(401).json({ error: 'Not authenticated' });
+    }
+
+    const entry = await releaseFromQuarantine(req.params.messageId);
+    if (!entry) {
+      return res.status(404).json({ success: false, error: 'Message is not quarantined' });
+    }
+    res.json({ success: true, released: entry });
+  } catch (error) {
+    logger.error('Quarantine release error:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+export default router;
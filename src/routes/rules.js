@@ -0,0 +1,90 @@
+import { Router } from 'express';
+import {
+  listRules,
+  getRule,
+  createRule,
+  updateRule,
+  deleteRule,
+  validateRule
+} from '../services/rules.js';
+import logger from '../logger.js';
+
+const router = Router();
+
+// List all rules
+router.get('/', async (req, res) => {
+  try {
+    const rules = await listRules();
+    res.json({ count: rules.length, rules });
+  } catch (error) {
+    logger.error('List rules error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Get a single rule
+router.get('/:id', async (req, res) => {
+  try {
+    const rule = await getRule(req.params.id);
+    if (!rule) {
+      return res.status(404).json({ error: 'Rule not found' });
+    }
+    res.json(rule);
+  } catch (error) {
+    logger.error('Get rule error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Create a rule
+router.post('/', async (req, res) => {
+  try {
+    const errors = await validateRule(req.body);
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Invalid rule', details: errors });
+    }
+
+    const rule = await createRule(req.body);
+    res.status(201).json(rule);
+  } catch (error) {
+    logger.error('Create rule error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Update a rule (partial updates are merged into the existing rule)
+router.put('/:id', async (req, res) => {
+  try {
+    const existing = await getRule(req.params.id);
+    if (!existing) {
+      return res.status(404).json({ error: 'Rule not found' });
+    }
+
+    const errors = await validateRule({ ...existing, ...req.body });
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Invalid rule', details: errors });
+    }
+
+    const rule = await updateRule(req.params.id, req.body);
+    res.json(rule);
+  } catch (error) {
+    logger.error('Update rule error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Delete a rule
+router.delete('/:id', async (req, res) => {
+  try {
+    const deleted = await deleteRule(req.params.id);
+    if (!deleted) {
+      return res.status(404).json({ error: 'Rule not found' });
+    }
+    res.json({ success: true });
+  } catch (error) {
+    logger.error('Delete rule error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+export default router;
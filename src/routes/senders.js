@@ -0,0 +1,83 @@
+import { Router } from 'express';
+import {
+  listSenderReputation,
+  listSenderLists,
+  validateListEntry,
+  addListEntry,
+  removeListEntry,
+  getSenderHistory,
+  findListEntry
+} from '../services/senders.js';
+import { requireRole } from '../middleware/auth.js';
+import logger from '../logger.js';
+
+const router = Router();
+
+// Sender reputation, most frequent senders first (?search= matches address or domain)
+router.get('/', async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit) || 100, 1000);
+    const senders = await listSenderReputation({ search: req.query.search, limit });
+    res.json({ count: senders.length, senders });
+  } catch (error) {
+    logger.error('List senders error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Allow/block list entries; these decide before the model does
+router.get('/lists', async (req, res) => {
+  try {
+    const entries = await listSenderLists();
+    res.json({ count: entries.length, entries });
+  } catch (error) {
+    logger.error('List sender lists error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Add an address or domain to the allow or block list (admin only, like rules)
+router.post('/lists', requireRole('admin'), async (req, res) => {
+  try {
+    const errors = await validateListEntry(req.body);
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Invalid sender list entry', details: errors });
+    }
+
+    const entry = await addListEntry(req.body);
+    res.status(201).json(entry);
+  } catch (error) {
+    logger.error('Add sender list entry error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+router.delete('/lists/:id', requireRole('admin'), async (req, res) => {
+  try {
+    const entry = await removeListEntry(req.params.id);
+    if (!entry) {
+      return res.status(404).json({ error: 'List entry not found' });
+    }
+    res.json({ success: true, entry });
+  } catch (error) {
+    logger.error('Remove sender list entry error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// What we know about one sender: address and domain history and any list entry
+router.get('/:sender', async (req, res) => {
+  try {
+    const history = await getSenderHistory(req.params.sender);
+    const listEntry = await findListEntry(req.params.sender);
+    if (!history.address && !history.domain && !listEntry) {
+      return res.status(404).json({ error: 'No history for this sender' });
+    }
+    res.json({ sender: req.params.sender, ...history, listEntry });
+  } catch (error) {
+    logger.error('Get sender error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+export default router;
@@ -0,0 +1,79 @@
+import { Router } from 'express';
+import {
+  isShadowMode,
+  setShadowMode,
+  listShadowDecisions,
+  applyShadowDecisions,
+  discardShadowDecisions
+} from '../services/shadow.js';
+import { isAuthenticated } from '../services/gmail.js';
+import logger from '../logger.js';
+
+const router = Router();
+
+function getMessageIds(body) {
+  if (body?.all === true) return null;
+  return Array.isArray(body?.messageIds) ? body.messageIds : [];
+}
+
+// List decisions recorded while in shadow mode
+router.get('/', async (req, res) => {
+  try {
+    const decisions = await listShadowDecisions({ classification: req.query.classification });
+    res.json({
+      enabled: await isShadowMode(),
+      count: decisions.length,
+      decisions
+    });
+  } catch (error) {
+    logger.error('List shadow decisions error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Turn shadow mode on or off
+router.post('/mode', async (req, res) => {
+  try {
+    if (typeof req.body?.enabled !== 'boolean') {
+      return res.status(400).json({ error: 'enabled must be a boolean' });
+    }
+
+    const enabled = await setShadowMode(req.body.enabled);
+    res.json({ success: true, enabled });
+  } catch (error) {
+    logger.error('Set shadow mode error:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Apply decisions for real: { messageIds: [...] } or { all: true }
+router.post('/apply', async (req, res) => {
+  try {
+    if (!isAuthenticated()) {
+      return res.status(401).json({ error: 'Not authenticated' });
+    }
+
+    const results = await applyShadowDecisions(getMessageIds(req.body));
+    res.json({
+      success: true,
+      applied: results.filter(r => r.status === 'applied').length,
+      results
+    });
+  } catch (error) {
+    logger.error('Apply shadow decisions error:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Discard decisions without touching the mailbox: { messageIds: [...] } or { all: true }
+router.post('/discard', async (req, res) => {
+  try {
+    const discarded = await discardShadowDecisions(getMessageIds(req.body));
+    res.json({ success: true, discarded: discarded.length, messageIds: discarded });
+  } catch (error) {
+    logger.error('Discard shadow decisions error:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+export default router;
@@ -0,0 +1,43 @@
+import { AsyncLocalStorage } from 'async_hooks';
+import path from 'path';
+
+// Every request, poll and timer runs on behalf of one Gmail account. The
+// account id travels with the async call chain so the services can keep
+// their module-level style while holding separate state per mailbox.
+const storage = new AsyncLocalStorage();
+
+export const DEFAULT_ACCOUNT = 'default';
+
+const ACCOUNT_ID_PATTERN = /^[a-z0-9][a-z0-9_-]{0,39}$/;
+
+export function isValidAccountId(accountId) {
+  return typeof accountId === 'string' && ACCOUNT_ID_PATTERN.test(accountId);
+}
+
+export function runWithAccount(accountId, fn) {
+  return storage.run(accountId, fn);
+}
+
+export function getCurrentAccountId() {
+  return storage.getStore() || DEFAULT_ACCOUNT;
+}
+
+// Module state kept separately for each account, created on first use
+export function accountState(factory) {
+  const states = new Map();
+  return () => {
+    const accountId = getCurrentAccountId();
+    if (!states.has(accountId)) {
+      states.set(accountId, factory());
+    }
+    return states.get(accountId);
+  };
+}
+
+// Data file for an account, relative to the data directory. The default
+// account keeps the original single-mailbox file names.
+export function accountFile(fileName, accountId = getCurrentAccountId()) {
+  return accountId === DEFAULT_ACCOUNT
+    ? fileName
+    : path.join('accounts', accountId, fileName);
+}
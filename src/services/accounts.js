@@ -0,0 +1,94 @@
+import { readJson, writeJson } from './jsonStore.js';
+import { DEFAULT_ACCOUNT, runWithAccount } from './accountContext.js';
+import { tokensExist, clearTokens } from './tokenStorage.js';
+import { disconnectGmail, revokeAccess } from './gmail.js';
+import { stopWatcher } from './emailWatcher.js';
+import logger from '../logger.js';
+
+const ACCOUNTS_FILE = 'accounts.json';
+
+let accounts = null;
+
+async function loadAccounts() {
+  if (accounts) return accounts;
+
+  let loaded;
+  try {
+    const data = await readJson(ACCOUNTS_FILE, { accounts: [] });
+    loaded = data.accounts || [];
+  } catch (error) {
+    logger.error('Error loading accounts:', error);
+    loaded = [];
+  }
+
+  // Single-mailbox installs connected before accounts existed
+  if (!loaded.some(a => a.id === DEFAULT_ACCOUNT) && await tokensExist(DEFAULT_ACCOUNT)) {
+    loaded.unshift({ id: DEFAULT_ACCOUNT, email: null, connectedAt: null });
+  }
+
+  // Concurrent first loads must end up sharing one list
+  if (!accounts) accounts = loaded;
+  return accounts;
+}
+
+async function saveAccounts() {
+  await writeJson(ACCOUNTS_FILE, {
+    accounts,
+    savedAt: new Date().toISOString()
+  });
+}
+
+export async function listAccounts() {
+  return loadAccounts();
+}
+
+export async function getAccount(accountId) {
+  return (await loadAccounts()).find(a => a.id === accountId) || null;
+}
+
+export async function saveAccount(accountId, { email }) {
+  await loadAccounts();
+  const account = {
+    id: accountId,
+    email,
+    connectedAt: new Date().toISOString()
+  };
+
+  accounts = [...accounts.filter(a => a.id !== accountId), account];
+  await saveAccounts();
+  logger.info(`Connected account ${accountId} (${email})`);
+  return account;
+}
+
+export async function removeAccount(accountId) {
+  await loadAccounts();
+  const before = accounts.length;
+  accounts = accounts.filter(a => a.id !== accountId);
+  if (accounts.length === before) return false;
+
+  await saveAccounts();
+  logger.info(`Removed account ${accountId}`);
+  return true;
+}
+
+// Run fn on behalf of every connected account, one at a time
+export async function forEachAccount(fn) {
+  const results = [];
+  for (const account of await listAccounts()) {
+    results.push(await runWithAccount(account.id, () => fn(account)));
+  }
+  return results;
+}
+
+// Stop the account's watcher, revoke its grant at Google and forget its tokens.
+// A revocation failure aborts, so the tokens are kept until the grant is gone.
+export async function disconnectAccount(accountId) {
+  return runWithAccount(accountId, async () => {
+    stopWatcher();
+    const revoked = await revokeAccess();
+    const envTokensRemain = await clearTokens();
+    disconnectGmail();
+    const removed = await removeAccount(accountId);
+    return { removed, revoked, envTokensRemain };
+  });
+}
@@ -0,0 +1,120 @@
+import { planClassification, applyClassification, batchModifyLabels, trashMessage, getMessage } from './gmail.js';
+import { recordAction } from './undo.js';
+import { shouldQuarantine, addToQuarantine } from './quarantine.js';
+import { getDecision, recordDecision } from './decisionLog.js';
+import { recordCorrection } from './feedback.js';
+import { learnFromCorrection, saveLocalModel } from './classifier.js';
+
+// What the filter would do to the mailbox for a decision. `existingLabels`
+// (the message's current label ids) is passed when reclassifying, so the
+// previous category label is replaced.
+export async function planDecision({ classification, confidence, routing }, { existingLabels = [] } = {}) {
+  return planClassification(classification, {
+    quarantine: shouldQuarantine(confidence),
+    extraLabels: routing?.labels || [],
+    existingLabels
+  });
+}
+
+// Apply a decision to the mailbox, remember how to undo it and hold trash
+// categories in quarantine
+export async function executeDecision(messageId, decision, { existingLabels = [] } = {}) {
+  const { classification, confidence, routing } = decision;
+  const applied = await applyClassification(messageId, classification, {
+    quarantine: shouldQuarantine(confidence),
+    extraLabels: routing?.labels || [],
+    existingLabels
+  });
+
+  await recordAction(messageId, classification, applied);
+
+  if (applied.action === 'quarantined') {
+    await addToQuarantine({ messageId, ...decision });
+  }
+  return applied;
+}
+
+// Apply many decisions ({ messageId, decision, existingLabels }) at once.
+// Messages that get exactly the same label change are modified together with
+// batchModifyLabels. Returns a Map from message id to the applied plan, or to
+// the error that stopped that message.
+export async function executeDecisions(items) {
+  const results = new Map();
+  const groups = new Map();
+
+  for (const { messageId, decision, existingLabels } of items) {
+    try {
+      const plan = await planDecision(decision, { existingLabels });
+      if (plan.action === 'trashed') {
+        await trashMessage(messageId);
+        results.set(messageId, plan);
+        continue;
+      }
+      const key = JSON.stringify([[...plan.addLabels].sort(), [...plan.removeLabels].sort()]);
+      if (!groups.has(key)) groups.set(key, { plan, messageIds: [] });
+      groups.get(key).messageIds.push(messageId);
+    } catch (error) {
+      results.set(messageId, error);
+    }
+  }
+
+  for (const { plan, messageIds } of groups.values()) {
+    try {
+      await batchModifyLabels(messageIds, plan.addLabels, plan.removeLabels);
+      for (const messageId of messageIds) results.set(messageId, plan);
+    } catch (error) {
+      for (const messageId of messageIds) results.set(messageId, error);
+    }
+  }
+
+  for (const { messageId, decision } of items) {
+    const applied = results.get(messageId);
+    if (applied instanceof Error) continue;
+    try {
+      await recordAction(messageId, decision.classification, applied);
+      if (applied.action === 'quarantined') {
+        await addToQuarantine({ messageId, ...decision });
+      }
+    } catch (error) {
+      results.set(messageId, error);
+    }
+  }
+  return results;
+}
+
+// Move a message to another category by hand: replace its category label,
+// apply the new category's action, log the decision and, when it overrides
+// the filter, record the correction so the filter learns from it
+export async function relabelMessage(messageId, category, { source = 'dashboard' } = {}) {
+  const previous = await getDecision(messageId);
+  const email = await getMessage(messageId);
+
+  const decision = {
+    messageId,
+    threadId: email.threadId,
+    subject: email.subject,
+    from: email.from,
+    classification: category,
+    confidence: 1,
+    reason: `Moved to ${category} by hand`,
+    decidedBy: { type: 'user', source }
+  };
+
+  let correction = null;
+  if (previous && previous.category !== category) {
+    correction = await recordCorrection({
+      messageId,
+      from: email.from,
+      subject: email.subject,
+      original: previous.category,
+      corrected: category,
+      source
+    });
+    await learnFromCorrection(email, category);
+    await saveLocalModel();
+  }
+
+  decision.action = await executeDecision(messageId, decision, { existingLabels: email.labelIds });
+  const logged = await recordDecision({ ...decision, shadow: false });
+  return { decision: logged, correction };
+}
@@ -0,0 +1,207 @@
+import { readJson, writeJson } from './jsonStore.js';
+import logger from '../logger.js';
+
+const CATEGORIES_FILE = 'categories.json';
+
+export const ACTIONS = ['keep', 'archive', 'trash', 'star', 'mark-read'];
+
+const DEFAULT_CATEGORIES = [
+  {
+    name: 'IMPORTANT',
+    label: 'AI-Important',
+    action: 'keep',
+    description: `Emails that require attention:
+- Personal emails from known contacts
+- Work-related communications
+- Financial statements, bills, invoices
+- Security alerts (password resets, login notifications)
+- Appointment confirmations
+- Shipping/delivery notifications for expected packages`
+  },
+  {
+    name: 'REVIEW',
+    label: 'AI-Review',
+    action: 'archive',
+    description: `Emails that might be useful but aren't urgent:
+- Newsletters the user might have subscribed to
+- Social media notifications
+- First-time senders (unknown but potentially legitimate)
+- Promotional emails from known services
+- Community/forum digests
+- Announcements from organizations the user does not belong to`
+  },
+  {
+    name: 'JUNK',
+    label: 'AI-Junk',
+    action: 'trash',
+    policy: { minConfidence: 0.7, fallback: 'REVIEW', needsHumanLabel: 'AI-Needs-Human' },
+    description: `Emails that are almost certainly unwanted:
+- Obvious spam or scam attempts
+- Unsolicited marketing from unknown senders
+- Phishing attempts
+- Get-rich-quick schemes
+- Suspicious links or attachments mentions
+- Emails in foreign languages (unless contextually relevant)`
+  }
+];
+
+let categories = null;
+
+export async function listCategories() {
+  if (categories) return categories;
+
+  try {
+    const data = await readJson(CATEGORIES_FILE, null);
+    categories = (data?.categories?.length ? data.categories : DEFAULT_CATEGORIES).map(normalizeCategory);
+  } catch (error) {
+    logger.error('Error loading categories, using defaults:', error);
+    categories = DEFAULT_CATEGORIES.map(normalizeCategory);
+  }
+  return categories;
+}
+
+async function saveCategories() {
+  await writeJson(CATEGORIES_FILE, {
+    categories,
+    savedAt: new Date().toISOString()
+  });
+}
+
+export async function getCategoryNames() {
+  return (await listCategories()).map(c => c.name);
+}
+
+export async function getCategory(name) {
+  return (await listCategories()).find(c => c.name === name) || null;
+}
+
+// Category used when nothing else can decide; prefers REVIEW, then anything
+// that does not trash mail
+export async function getFallbackCategory() {
+  const all = await listCategories();
+  return all.find(c => c.name === 'REVIEW')?.name
+    || all.find(c => c.action !== 'trash')?.name
+    || all[0].name;
+}
+
+export async function validateCategory(category, { existingName = null } = {}) {
+  const errors = [];
+
+  if (!category || typeof category !== 'object') {
+    return ['Category must be an object'];
+  }
+  if (typeof category.name !== 'string' || !/^[A-Z][A-Z0-9_]*$/.test(category.name)) {
+    errors.push('name must be uppercase letters, digits or underscores (e.g. RECEIPTS)');
+  }
+  if (typeof category.label !== 'string' || !category.label.trim()) {
+    errors.push('label is required');
+  }
+  if (typeof category.description !== 'string' || !category.description.trim()) {
+    errors.push('description is required');
+  }
+  if (!ACTIONS.includes(category.action)) {
+    errors.push(`action must be one of: ${ACTIONS.join(', ')}`);
+  }
+
+  const others = (await listCategories()).filter(c => c.name !== existingName);
+  validatePolicy(category, others, errors);
+
+  if (others.some(c => c.name === category.name)) {
+    errors.push(`category "${category.name}" already exists`);
+  }
+  if (others.some(c => c.label === category.label)) {
+    errors.push(`label "${category.label}" is already used by another category`);
+  }
+
+  return errors;
+}
+
+// Optional confidence policy: below `minConfidence` the email is routed to
+// `fallback` instead, tagged with `needsHumanLabel` if set
+function validatePolicy(category, others, errors) {
+  const { policy } = category;
+  if (policy === undefined || policy === null) return;
+
+  if (typeof policy !== 'object') {
+    errors.push('policy must be an object');
+    return;
+  }
+  if (policy.minConfidence !== undefined &&
+      (typeof policy.minConfidence !== 'number' || policy.minConfidence < 0 || policy.minConfidence > 1)) {
+    errors.push('policy.minConfidence must be a number between 0 and 1');
+  }
+  if (policy.fallback !== undefined && policy.fallback !== null &&
+      !others.some(c => c.name === policy.fallback)) {
+    errors.push('policy.fallback must be the name of another category');
+  }
+  if (policy.needsHumanLabel !== undefined && policy.needsHumanLabel !== null &&
+      (typeof policy.needsHumanLabel !== 'string' || !policy.needsHumanLabel.trim())) {
+    errors.push('policy.needsHumanLabel must be a non-empty string or null');
+  }
+}
+
+function normalizePolicy(policy) {
+  return {
+    minConfidence: policy?.minConfidence ?? 0,
+    fallback: policy?.fallback ?? null,
+    needsHumanLabel: policy?.needsHumanLabel?.trim() || null
+  };
+}
+
+function normalizeCategory(input) {
+  return {
+    name: input.name,
+    label: input.label.trim(),
+    action: input.action,
+    description: input.description.trim(),
+    policy: normalizePolicy(input.policy)
+  };
+}
+
+export async function createCategory(input) {
+  const errors = await validateCategory(input);
+  if (errors.length > 0) {
+    throw new Error(`Invalid category: ${errors.join('; ')}`);
+  }
+
+  await listCategories();
+  const category = normalizeCategory(input);
+  categories.push(category);
+  await saveCategories();
+  logger.info(`Created category ${category.name} (${category.label})`);
+  return category;
+}
+
+export async function updateCategory(name, changes) {
+  const existing = await getCategory(name);
+  if (!existing) return null;
+
+  // The name is the category's identity; rules and stats refer to it
+  const merged = { ...existing, ...changes, name };
+  const errors = await validateCategory(merged, { existingName: name });
+  if (errors.length > 0) {
+    throw new Error(`Invalid category: ${errors.join('; ')}`);
+  }
+
+  const updated = normalizeCategory(merged);
+  categories = categories.map(c => (c.name === name ? updated : c));
+  await saveCategories();
+  logger.info(`Updated category ${name}`);
+  return updated;
+}
+
+export async function deleteCategory(name) {
+  const existing = await getCategory(name);
+  if (!existing) return false;
+
+  if (categories.length === 1) {
+    throw new Error('Cannot delete the last category');
+  }
+
+  categories = categories
+    .filter(c => c.name !== name)
+    .map(c => (c.policy.fallback === name ? { ...c, policy: { ...c.policy, fallback: null } } : c));
+  await saveCategories();
+  logger.info(`Deleted category ${name}`);
+  return true;
+}
@@ -0,0 +1,68 @@
+import logger from '../logger.js';
+
+// Stops calling a service that keeps failing. After `threshold` failures in a
+// row the circuit opens and requests are refused for `cooldownMs`; then one
+// trial request is let through (half-open), which closes the circuit on
+// success or opens it for another cooldown on failure.
+export function createCircuitBreaker({ name, threshold, cooldownMs }) {
+  let state = 'closed';
+  let failures = 0;
+  let openedAt = null;
+  let trialInFlight = false;
+  let lastFailure = null;
+
+  function open() {
+    state = 'open';
+    openedAt = Date.now();
+    trialInFlight = false;
+    logger.warn(`Circuit for ${name} opened after ${failures} consecutive failures; pausing for ${Math.round(cooldownMs / 1000)}s`);
+  }
+
+  return {
+    // Whether a request may be made now; in half-open state only one is
+    canRequest() {
+      if (state === 'closed') return true;
+      if (state === 'open' && Date.now() - openedAt >= cooldownMs) {
+        state = 'half-open';
+      }
+      if (state === 'half-open' && !trialInFlight) {
+        trialInFlight = true;
+        return true;
+      }
+      return false;
+    },
+
+    // Whether requests would be refused right now, without claiming the trial
+    isOpen() {
+      return state === 'open' && Date.now() - openedAt < cooldownMs;
+    },
+
+    recordSuccess() {
+      if (state !== 'closed') {
+        logger.info(`Circuit for ${name} closed`);
+      }
+      state = 'closed';
+      failures = 0;
+      openedAt = null;
+      trialInFlight = false;
+    },
+
+    recordFailure(error) {
+      failures++;
+      lastFailure = { message: error.message, at: new Date().toISOString() };
+      if (state === 'half-open' || (state === 'closed' && failures >= threshold)) {
+        open();
+      }
+    },
+
+    getStatus() {
+      return {
+        state: this.isOpen() || state !== 'open' ? state : 'half-open',
+        consecutiveFailures: failures,
+        openedAt: openedAt ? new Date(openedAt).toISOString() : null,
+        retryAt: state === 'open' ? new Date(openedAt + cooldownMs).toISOString() : null,
+        lastFailure
+      };
+    }
+  };
+}
@@ -1,66 +1,447 @@
-import OpenAI from 'openai';
-import { classificationPrompt, buildClassificationMessage } from '../prompts/classification.js';
+import {
+  buildClassificationPrompt,
+  buildClassificationMessage,
+  buildBatchInstructions,
+  buildBatchClassificationMessage
+} from '../prompts/classification.js';
+import { listCategories, getFallbackCategory } from './categories.js';
+import { getFewShotExamples } from './feedback.js';
+import { getActivePrompt, getPromptVersion } from './prompts.js';
+import { createOpenAIProvider } from './providers/openai.js';
+import { createLocalProvider } from './providers/local.js';
+import { createCircuitBreaker } from './circuitBreaker.js';
+import { retryWithBackoff } from './retry.js';
 import logger from '../logger.js';
 
-let openai = null;
+// Confident answers from the primary provider are used to train the offline model
+const LEARN_CONFIDENCE = 0.8;
 
-export function initializeOpenAI() {
-  if (!process.env.OPENAI_API_KEY) {
-    throw new Error('OPENAI_API_KEY not set');
+// Emails per request on the batch path; 1 disables batching
+const BATCH_SIZE = parseInt(process.env.CLASSIFY_BATCH_SIZE) || 5;
+
+// Per-request timeout, and retries (with exponential backoff) of timeouts,
+// rate limits and server errors
+const TIMEOUT_MS = parseInt(process.env.CLASSIFIER_TIMEOUT_MS) || 30000;
+const MAX_RETRIES = parseInt(process.env.CLASSIFIER_MAX_RETRIES) || 3;
+const RETRY_BASE_MS = parseInt(process.env.CLASSIFIER_RETRY_BASE_MS) || 1000;
+const RETRY_MAX_MS = 30000;
+
+// Failed requests in a row before classification pauses, and for how long
+const BREAKER_THRESHOLD = parseInt(process.env.CLASSIFIER_BREAKER_THRESHOLD) || 5;
+const BREAKER_COOLDOWN_MS = parseInt(process.env.CLASSIFIER_BREAKER_COOLDOWN_MS) || 5 * 60 * 1000;
+
+// The prompt asks for at most 100 characters; longer means it was not followed
+const MAX_REASON_LENGTH = 200;
+const RESULT_FIELDS = ['classification', 'confidence', 'reason'];
+
+let provider = null;
+let fallbackProvider = null;
+let localProvider = null;
+let lastError = null;
+let learnFromAnswers = true;
+
+const breaker = createCircuitBreaker({
+  name: 'classifier',
+  threshold: BREAKER_THRESHOLD,
+  cooldownMs: BREAKER_COOLDOWN_MS
+});
+
+function getLocalProvider() {
+  if (!localProvider) {
+    localProvider = createLocalProvider();
   }
-  openai = new OpenAI({ apiKey: process.env.OPENAI_API_KEY });
-  logger.info('OpenAI client initialized');
+  return localProvider;
 }
 
-export async function classifyEmail(email) {
-  if (!openai) {
-    initializeOpenAI();
+export function createProvider(name) {
+  switch (name) {
+    case 'openai':
+      if (!process.env.OPENAI_API_KEY) {
+        throw new Error('OPENAI_API_KEY not set');
+      }
+      return createOpenAIProvider({
+        name: 'openai',
+        apiKey: process.env.OPENAI_API_KEY,
+        model: process.env.CLASSIFIER_MODEL || 'gpt-4o-mini',
+        timeoutMs: TIMEOUT_MS
+      });
+    case 'openai-compatible':
+      if (!process.env.CLASSIFIER_BASE_URL) {
+        throw new Error('CLASSIFIER_BASE_URL not set');
+      }
+      return createOpenAIProvider({
+        name: 'openai-compatible',
+        apiKey: process.env.CLASSIFIER_API_KEY || 'not-needed',
+        baseURL: process.env.CLASSIFIER_BASE_URL,
+        model: process.env.CLASSIFIER_MODEL || 'llama3.1',
+        jsonMode: process.env.CLASSIFIER_JSON_MODE !== 'false',
+        timeoutMs: TIMEOUT_MS
+      });
+    case 'local':
+      return getLocalProvider();
+    default:
+      throw new Error(`Unknown classifier provider: ${name}`);
   }
+}
 
-  const userMessage = buildClassificationMessage(email);
+export function initializeClassifier() {
+  const providerName = process.env.CLASSIFIER_PROVIDER || 'openai';
+  const fallbackName = process.env.CLASSIFIER_FALLBACK || 'local';
+
+  fallbackProvider = fallbackName !== 'none' && fallbackName !== providerName
+    ? createProvider(fallbackName)
+    : null;
 
   try {
-    const response = await openai.chat.completions.create({
-      model: 'gpt-4o-mini',
-      messages: [
-        { role: 'system', content: classificationPrompt },
-        { role: 'user', content: userMessage }
-      ],
-      response_format: { type: 'json_object' },
-      temperature: 0.1,
-      max_tokens: 200
-    });
-
-    const content = response.choices[0].message.content;
-    const result = JSON.parse(content);
-
-    // Validate response
-    if (!['IMPORTANT', 'REVIEW', 'JUNK'].includes(result.classification)) {
-      throw new Error(`Invalid classification: ${result.classification}`);
-    }
+    provider = createProvider(providerName);
+  } catch (error) {
+    if (!fallbackProvider) throw error;
 
-    if (typeof result.confidence !== 'number' || result.confidence < 0 || result.confidence > 1) {
-      result.confidence = 0.5;
+    // Keep classifying offline rather than failing every message
+    logger.warn(`Classifier provider "${providerName}" unavailable (${error.message}), using "${fallbackProvider.name}"`);
+    lastError = { message: error.message, at: new Date().toISOString() };
+    provider = fallbackProvider;
+    fallbackProvider = null;
+  }
+
+  logger.info(`Classifier initialized with provider "${provider.name}" (${provider.model})` +
+    (fallbackProvider ? `, fallback "${fallbackProvider.name}"` : ''));
+}
+
+// Classify with the given provider instance instead of the configured ones,
+// for offline runs (scripts/evaluate.js): there is no fallback, and answers
+// are not used to train the local model
+export function useProvider(instance) {
+  provider = instance;
+  fallbackProvider = null;
+  learnFromAnswers = false;
+  lastError = null;
+}
+
+// The active prompt version, or the one asked for
+async function resolvePrompt(version) {
+  if (version === undefined) return getActivePrompt();
+
+  const prompt = await getPromptVersion(version);
+  if (!prompt) {
+    throw new Error(`Unknown prompt version: ${version}`);
+  }
+  return prompt;
+}
+
+function invalidResponse(message) {
+  const error = new Error(`Invalid response: ${message}`);
+  error.invalidResponse = true;
+  return error;
+}
+
+// An answer must have exactly the fields the prompt asks for (plus `id` in
+// batch responses), with a known category, a confidence between 0 and 1 and
+// a short reason
+function validateResult(result, categoryNames, { batch = false } = {}) {
+  if (!result || typeof result !== 'object' || Array.isArray(result)) {
+    throw invalidResponse('not a JSON object');
+  }
+
+  const allowed = batch ? [...RESULT_FIELDS, 'id'] : RESULT_FIELDS;
+  const extra = Object.keys(result).filter(key => !allowed.includes(key));
+  if (extra.length > 0) {
+    throw invalidResponse(`unexpected fields ${extra.join(', ')}`);
+  }
+  if (!categoryNames.includes(result.classification)) {
+    throw invalidResponse(`unknown classification ${JSON.stringify(result.classification)}`);
+  }
+  if (typeof result.confidence !== 'number' || !(result.confidence >= 0 && result.confidence <= 1)) {
+    throw invalidResponse('confidence must be a number between 0 and 1');
+  }
+  if (typeof result.reason !== 'string' || !result.reason.trim()) {
+    throw invalidResponse('reason is missing');
+  }
+  if (result.reason.length > MAX_REASON_LENGTH) {
+    throw invalidResponse(`reason is longer than ${MAX_REASON_LENGTH} characters`);
+  }
+
+  return {
+    classification: result.classification,
+    confidence: result.confidence,
+    reason: result.reason.trim()
+  };
+}
+
+// Timeouts, rate limits and server errors, or a request refused because the
+// circuit is open: the provider is down or overloaded, and the same request
+// may well succeed later
+function isTransientError(p, error) {
+  return !!error.unavailable || !!p.isTransientError?.(error);
+}
+
+function unavailableError(p) {
+  const error = new Error(`${p.name} is unavailable, classification paused until ${breaker.getStatus().retryAt}`);
+  error.unavailable = true;
+  return error;
+}
+
+// One provider request with the safeguards around it: refused while the
+// circuit is open, retried with backoff on transient errors and, with
+// `retryInvalid`, once more when the answer is malformed. `validate` turns
+// the raw answer into the result or throws. The local provider runs in
+// process and needs none of this.
+async function callProvider(p, request, validate, { retryInvalid = false } = {}) {
+  if (!p.isTransientError) {
+    return validate(await request());
+  }
+
+  return retryWithBackoff(async () => {
+    if (!breaker.canRequest()) throw unavailableError(p);
+
+    let raw;
+    try {
+      raw = await request();
+    } catch (error) {
+      // Anything but a transient error means the provider answered
+      if (isTransientError(p, error)) breaker.recordFailure(error);
+      else breaker.recordSuccess();
+      throw error;
+    }
+    breaker.recordSuccess();
+    return validate(raw);
+  }, {
+    baseMs: RETRY_BASE_MS,
+    maxMs: RETRY_MAX_MS,
+    shouldRetry: (error, attempt) => {
+      if (error.unavailable) return false;
+      if (isTransientError(p, error)) return attempt < MAX_RETRIES && !breaker.isOpen();
+      return retryInvalid && attempt === 0 && (error.invalidResponse || error instanceof SyntaxError);
+    },
+    onRetry: (error, attempt, delay) => {
+      logger.warn(`Classifier request failed (${error.message}), retry ${attempt + 1} in ${delay}ms`);
     }
+  });
+}
+
+// The local provider does not read the prompt, so its answers carry no version
+async function classifyWith(p, email, options) {
+  const categories = await listCategories();
+  const categoryNames = categories.map(c => c.name);
+  const prompt = await resolvePrompt(options.promptVersion);
+  const request = {
+    email,
+    categories: categoryNames,
+    systemPrompt: buildClassificationPrompt(categories, prompt),
+    userMessage: buildClassificationMessage(email, { examples: options.examples ?? await getFewShotExamples() })
+  };
+
+  const result = await callProvider(p, () => p.classify(request), raw => validateResult(raw, categoryNames), {
+    retryInvalid: true
+  });
+  return {
+    ...result,
+    provider: p.name,
+    model: p.model,
+    promptVersion: p.name === 'local' ? null : prompt.version
+  };
+}
+
+async function handleFailure(email, error, options = {}) {
+  lastError = { message: error.message, at: new Date().toISOString() };
 
-    logger.info(`Classified email "${email.subject}" as ${result.classification} (${result.confidence}): ${result.reason}`);
+  if (fallbackProvider) {
+    try {
+      const result = await classifyWith(fallbackProvider, email, options);
+      logger.info(`Fallback classified email "${email.subject}" as ${result.classification} (${result.confidence}) via ${result.provider}`);
+      return { ...result, reason: `${result.reason} (fallback: ${error.message})` };
+    } catch (fallbackError) {
+      logger.error('Fallback classification error:', fallbackError);
+    }
+  }
 
+  // The provider is down or overloaded and nothing else could answer. Filing
+  // the email on a guess would move it out of the inbox, so it is left alone
+  // and retried later (see emailWatcher.js).
+  if (isTransientError(provider, error)) {
+    logger.warn(`Deferred email "${email.subject}": ${error.message}`);
     return {
-      classification: result.classification,
-      confidence: result.confidence,
-      reason: result.reason || 'No reason provided'
+      deferred: true,
+      reason: `Classification deferred: ${error.message}`,
+      provider: provider.name,
+      model: provider.model
     };
+  }
+
+  // Default to REVIEW (or the safest configured category) on error
+  return {
+    classification: await getFallbackCategory(),
+    confidence: 0,
+    reason: `Classification error: ${error.message}`,
+    error: true,
+    provider: provider.name,
+    model: provider.model,
+    promptVersion: null
+  };
+}
+
+async function handleSuccess(email, result) {
+  lastError = null;
+
+  logger.info(`Classified email "${email.subject}" as ${result.classification} (${result.confidence}) via ${result.provider}: ${result.reason}`);
+
+  // A training failure must not cost the answer it was learning from
+  if (learnFromAnswers && provider.name !== 'local' && result.confidence >= LEARN_CONFIDENCE) {
+    try {
+      await getLocalProvider().learn(email, result.classification);
+    } catch (error) {
+      logger.error('Error training the local classifier:', error);
+    }
+  }
+  return result;
+}
+
+// Options: `promptVersion` to classify with a version other than the active
+// one, `examples` to replace the few-shot corrections (evaluation runs)
+export async function classifyEmail(email, options = {}) {
+  if (!provider) {
+    initializeClassifier();
+  }
+
+  try {
+    return await handleSuccess(email, await classifyWith(provider, email, options));
   } catch (error) {
-    logger.error('Classification error:', error);
-    // Default to REVIEW on error to be safe
-    return {
-      classification: 'REVIEW',
-      confidence: 0,
-      reason: `Classification error: ${error.message}`
-    };
+    if (!isTransientError(provider, error)) logger.error('Classification error:', error);
+    return handleFailure(email, error, options);
   }
 }
 
-export function isOpenAIReady() {
-  return openai !== null || !!process.env.OPENAI_API_KEY;
+// Classify one chunk in a single request. A malformed response is split in
+// half and retried; emails missing from an otherwise valid response are
+// retried on their own.
+async function classifyChunk(emails, results) {
+  if (emails.length === 1) {
+    results.set(emails[0].id, await classifyEmail(emails[0]));
+    return;
+  }
+
+  const categories = await listCategories();
+  const categoryNames = categories.map(c => c.name);
+  const items = emails.map((email, i) => ({ id: `E${i + 1}`, email }));
+  const prompt = await getActivePrompt();
+
+  const request = {
+    size: emails.length,
+    systemPrompt: buildClassificationPrompt(categories, prompt) + buildBatchInstructions(categoryNames),
+    userMessage: buildBatchClassificationMessage(items, { examples: await getFewShotExamples() })
+  };
+
+  let raw;
+  try {
+    raw = await callProvider(provider, () => provider.classifyBatch(request), answer => answer);
+  } catch (error) {
+    if (!(error instanceof SyntaxError)) {
+      // The provider itself failed; retrying smaller batches would only hammer it
+      if (!isTransientError(provider, error)) logger.error('Batch classification error:', error);
+      for (const email of emails) {
+        results.set(email.id, await handleFailure(email, error));
+      }
+      return;
+    }
+    raw = null;
+  }
+
+  const entries = Array.isArray(raw?.results) ? raw.results : [];
+  const missing = [];
+
+  for (const { id, email } of items) {
+    const entry = entries.find(e => String(e?.id) === id);
+    let validated;
+    try {
+      if (!entry) throw new Error('Missing from batch response');
+      validated = validateResult(entry, categoryNames, { batch: true });
+    } catch (error) {
+      // Only an unusable answer is asked again; anything after this is not a batch problem
+      logger.warn(`Batch answer for "${email.subject}" unusable: ${error.message}`);
+      missing.push(email);
+      continue;
+    }
+
+    const result = { ...validated, provider: provider.name, model: provider.model, promptVersion: prompt.version };
+    results.set(email.id, await handleSuccess(email, result));
+  }
+
+  if (missing.length === 0) return;
+
+  if (missing.length === emails.length) {
+    logger.warn(`Malformed batch response for ${emails.length} emails, splitting`);
+    const middle = Math.ceil(emails.length / 2);
+    await classifyChunk(emails.slice(0, middle), results);
+    await classifyChunk(emails.slice(middle), results);
+  } else {
+    await classifyChunk(missing, results);
+  }
+}
+
+// Classify several emails, batching requests when the provider supports it.
+// Returns a Map of email id -> result.
+export async function classifyEmails(emails) {
+  if (!provider) {
+    initializeClassifier();
+  }
+
+  const results = new Map();
+
+  if (!provider.classifyBatch || BATCH_SIZE <= 1) {
+    for (const email of emails) {
+      results.set(email.id, await classifyEmail(email));
+    }
+    return results;
+  }
+
+  for (let i = 0; i < emails.length; i += BATCH_SIZE) {
+    await classifyChunk(emails.slice(i, i + BATCH_SIZE), results);
+  }
+  return results;
+}
+
+// False while the circuit is open: the provider kept failing and requests
+// are paused, so there is no point sending it mail
+export function isClassifierAvailable() {
+  return !breaker.isOpen();
+}
+
+// Teach the offline model from a user's correction; saved with the next
+// saveLocalModel()
+export async function learnFromCorrection(email, category) {
+  await getLocalProvider().learn(email, category);
+}
+
+// Write out what the offline model learned since it was last saved
+export async function saveLocalModel() {
+  await getLocalProvider().flush();
+}
+
+export async function getClassifierStatus() {
+  if (!provider) {
+    try {
+      initializeClassifier();
+    } catch (error) {
+      return {
+        ready: false,
+        provider: process.env.CLASSIFIER_PROVIDER || 'openai',
+        error: error.message
+      };
+    }
+  }
+
+  return {
+    ready: provider.isReady(),
+    configuredProvider: process.env.CLASSIFIER_PROVIDER || 'openai',
+    provider: provider.name,
+    model: provider.model,
+    fallback: fallbackProvider ? fallbackProvider.name : null,
+    batchSize: provider.classifyBatch ? BATCH_SIZE : 1,
+    promptVersion: (await getActivePrompt()).version,
+    timeoutMs: TIMEOUT_MS,
+    maxRetries: MAX_RETRIES,
+    circuit: breaker.getStatus(),
+    lastError,
+    local: await getLocalProvider().getStats()
+  };
 }
@@ -0,0 +1,17 @@
+// Like Promise.all(items.map(fn)) but with at most `limit` calls in flight.
+// Results keep the input order; a rejection rejects the whole call.
+export async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+
+  async function worker() {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await fn(items[index], index);
+    }
+  }
+
+  const workers = Array.from({ length: Math.min(Math.max(limit, 1), items.length) }, worker);
+  await Promise.all(workers);
+  return results;
+}
@@ -0,0 +1,267 @@
+import { readJson, writeJson } from './jsonStore.js';
+import { listMessages, getMessageHeaders, getPeopleClient, getProfile, isReauthError } from './gmail.js';
+import { getSenderHistory } from './senders.js';
+import { parseAddress, parseAddressList } from './emailAddress.js';
+import { mapWithConcurrency } from './concurrency.js';
+import { accountState, accountFile } from './accountContext.js';
+import logger from '../logger.js';
+
+const CONTACTS_FILE = 'contacts.json';
+
+const ENABLED = process.env.CONTACTS_ENABLED !== 'false';
+const PEOPLE_API = process.env.CONTACTS_PEOPLE_API === 'true';
+const REFRESH_HOURS = parseFloat(process.env.CONTACTS_REFRESH_HOURS) || 24;
+
+// Most recent sent messages scanned for recipients on each refresh
+const SENT_SCAN_LIMIT = parseInt(process.env.CONTACTS_SENT_SCAN_LIMIT) || 500;
+const FETCH_CONCURRENCY = parseInt(process.env.GMAIL_FETCH_CONCURRENCY) || 5;
+const PEOPLE_PAGE_SIZE = 1000;
+
+// A failed refresh is retried after this long rather than on every poll
+const RETRY_MINUTES = 30;
+
+// Known correspondents, per account: everyone the user has sent mail to and,
+// when the grant includes the contacts scopes, their Google contacts. Rebuilt
+// every REFRESH_HOURS; recipients of mail sent in between are picked up from
+// the sender reputation (see senders.js).
+const state = accountState(() => ({ index: null, refreshing: null, retryAt: 0 }));
+
+function emptyIndex() {
+  return { self: null, contacts: {}, sources: {}, refreshedAt: null };
+}
+
+async function loadIndex() {
+  const current = state();
+  if (current.index) return current.index;
+
+  try {
+    current.index = (await readJson(accountFile(CONTACTS_FILE), null)) || emptyIndex();
+  } catch (error) {
+    logger.error('Error loading contacts:', error);
+    current.index = emptyIndex();
+  }
+  return current.index;
+}
+
+async function saveIndex(index) {
+  await writeJson(accountFile(CONTACTS_FILE), {
+    ...index,
+    savedAt: new Date().toISOString()
+  });
+}
+
+// Build address -> { name, sources } from raw API data: To/Cc/Bcc header maps
+// of sent messages and People API person resources. It makes no API calls, so
+// recorded responses can be replayed through it.
+export function buildContactIndex({ self = null, sent = [], connections = [], otherContacts = [] }) {
+  const contacts = {};
+
+  const add = (value, name, source) => {
+    const address = value.trim().toLowerCase();
+    if (!address.includes('@') || address === self) return;
+
+    if (!contacts[address]) contacts[address] = { name: '', sources: [] };
+    const entry = contacts[address];
+    if (name && !entry.name) entry.name = name;
+    if (!entry.sources.includes(source)) entry.sources.push(source);
+  };
+
+  for (const headers of sent) {
+    for (const field of ['to', 'cc', 'bcc']) {
+      for (const { address, name } of parseAddressList(headers[field])) {
+        add(address, name, 'sent');
+      }
+    }
+  }
+
+  for (const [people, source] of [[connections, 'contacts'], [otherContacts, 'other-contacts']]) {
+    for (const person of people) {
+      const name = person.names?.[0]?.displayName || '';
+      for (const email of person.emailAddresses || []) {
+        if (email.value) add(email.value, name, source);
+      }
+    }
+  }
+
+  return contacts;
+}
+
+async function fetchSentHeaders() {
+  const ids = [];
+  let pageToken;
+  do {
+    const { messages = [], nextPageToken } = await listMessages({
+      q: 'in:sent',
+      maxResults: Math.min(500, SENT_SCAN_LIMIT - ids.length),
+      pageToken
+    });
+    ids.push(...messages.map(m => m.id));
+    pageToken = nextPageToken;
+  } while (pageToken && ids.length < SENT_SCAN_LIMIT);
+
+  const headers = await mapWithConcurrency(ids, FETCH_CONCURRENCY, async (id) => {
+    try {
+      return await getMessageHeaders(id, ['To', 'Cc', 'Bcc']);
+    } catch (error) {
+      if (isReauthError(error)) throw error;
+      logger.warn(`Could not fetch sent message ${id}:`, error.message);
+      return null;
+    }
+  });
+  return headers.filter(Boolean);
+}
+
+async function listAllPages(fetchPage, key) {
+  const items = [];
+  let pageToken;
+  do {
+    const { data } = await fetchPage(pageToken);
+    items.push(...(data[key] || []));
+    pageToken = data.nextPageToken;
+  } while (pageToken);
+  return items;
+}
+
+async function fetchPeople(people) {
+  const connections = await listAllPages(pageToken => people.people.connections.list({
+    resourceName: 'people/me',
+    personFields: 'names,emailAddresses',
+    pageSize: PEOPLE_PAGE_SIZE,
+    pageToken
+  }), 'connections');
+
+  const otherContacts = await listAllPages(pageToken => people.otherContacts.list({
+    readMask: 'names,emailAddresses',
+    pageSize: PEOPLE_PAGE_SIZE,
+    pageToken
+  }), 'otherContacts');
+
+  return { connections, otherContacts };
+}
+
+async function rebuildIndex() {
+  const previous = await loadIndex();
+  const profile = await getProfile();
+  const self = profile.emailAddress.toLowerCase();
+
+  const sent = await fetchSentHeaders();
+  const sources = { sent: { status: 'ok', messages: sent.length } };
+
+  let people = { connections: [], otherContacts: [] };
+  let peopleFailed = false;
+  const client = getPeopleClient();
+  if (!client) {
+    sources.people = { status: PEOPLE_API ? 'not-granted' : 'disabled' };
+  } else {
+    try {
+      people = await fetchPeople(client);
+      sources.people = { status: 'ok', contacts: people.connections.length, otherContacts: people.otherContacts.length };
+    } catch (error) {
+      if (isReauthError(error)) throw error;
+      logger.warn('Could not load Google contacts:', error.message);
+      sources.people = { status: 'error', error: error.message };
+      peopleFailed = true;
+    }
+  }
+
+  const contacts = buildContactIndex({ self, sent, ...people });
+
+  // Keep the contacts we had rather than forgetting them over a failed call
+  if (peopleFailed) {
+    for (const [address, entry] of Object.entries(previous.contacts)) {
+      const kept = entry.sources.filter(source => source !== 'sent');
+      if (kept.length === 0) continue;
+      const merged = contacts[address] || { name: entry.name, sources: [] };
+      merged.sources = [...new Set([...merged.sources, ...kept])];
+      contacts[address] = merged;
+    }
+  }
+
+  const index = { self, contacts, sources, refreshedAt: new Date().toISOString() };
+  state().index = index;
+  await saveIndex(index);
+
+  logger.info(`Contacts refreshed: ${Object.keys(contacts).length} known addresses from ${sent.length} sent messages` +
+    (sources.people.status === 'ok' ? ` and ${people.connections.length + people.otherContacts.length} contacts` : ''));
+  return index;
+}
+
+// Rebuild the index now; concurrent callers share one rebuild
+export async function refreshContacts() {
+  const current = state();
+  if (!current.refreshing) {
+    current.refreshing = rebuildIndex().finally(() => {
+      current.refreshing = null;
+    });
+  }
+  await current.refreshing;
+  return getContactsStatus();
+}
+
+// Called from every poll; only rebuilds once the index is REFRESH_HOURS old
+export async function refreshContactsIfStale() {
+  if (!ENABLED) return null;
+
+  const current = state();
+  const index = await loadIndex();
+  const age = index.refreshedAt ? Date.now() - new Date(index.refreshedAt).getTime() : Infinity;
+  if (age < REFRESH_HOURS * 60 * 60 * 1000 || Date.now() < current.retryAt) {
+    return null;
+  }
+
+  try {
+    return await refreshContacts();
+  } catch (error) {
+    if (isReauthError(error)) throw error;
+    current.retryAt = Date.now() + RETRY_MINUTES * 60 * 1000;
+    logger.error('Contacts refresh error:', error);
+    return null;
+  }
+}
+
+// Use a prebuilt index for the current account without saving it (for
+// scripts/check-contacts.js, which replays recorded API responses)
+export function useContactIndex({ self = null, contacts }) {
+  state().index = { ...emptyIndex(), self, contacts, refreshedAt: new Date().toISOString() };
+}
+
+// { address, name, sources } when the sender is someone the user has written
+// to or keeps as a contact, else null
+export async function findKnownContact(from) {
+  if (!ENABLED) return null;
+
+  const { address } = parseAddress(from);
+  if (!address) return null;
+
+  const index = await loadIndex();
+  if (address === index.self) return null;
+
+  const entry = index.contacts[address];
+  if (entry) return { address, ...entry };
+
+  const history = await getSenderHistory(from);
+  if (history.address?.replied) return { address, name: '', sources: ['sent'] };
+
+  return null;
+}
+
+export async function listContacts({ search, limit = 100 } = {}) {
+  const index = await loadIndex();
+  const term = search?.toLowerCase();
+  return Object.entries(index.contacts)
+    .filter(([address, entry]) => !term || address.includes(term) || entry.name.toLowerCase().includes(term))
+    .slice(0, limit)
+    .map(([address, entry]) => ({ address, ...entry }));
+}
+
+export async function getContactsStatus() {
+  const index = await loadIndex();
+  return {
+    enabled: ENABLED,
+    peopleApi: PEOPLE_API,
+    refreshHours: REFRESH_HOURS,
+    refreshedAt: index.refreshedAt,
+    known: Object.keys(index.contacts).length,
+    sources: index.sources
+  };
+}
@@ -0,0 +1,127 @@
+import { appendJsonLine, readJsonLines } from './jsonStore.js';
+import { parseAddress } from './emailAddress.js';
+import { accountState, accountFile } from './accountContext.js';
+import logger from '../logger.js';
+
+const DECISIONS_FILE = 'decisions.jsonl';
+
+// Decisions are appended as they happen; later changes to a decision (e.g. a
+// shadow decision being applied) are appended as update entries and folded in
+// when the log is loaded, so the file is never rewritten.
+const state = accountState(() => ({ decisions: null, byMessageId: new Map() }));
+
+async function loadDecisions() {
+  const current = state();
+  if (current.decisions) return current;
+
+  current.decisions = [];
+  current.byMessageId = new Map();
+
+  try {
+    const entries = await readJsonLines(accountFile(DECISIONS_FILE));
+    for (const entry of entries) {
+      if (entry.type === 'update') {
+        const existing = current.byMessageId.get(entry.messageId);
+        if (existing) Object.assign(existing, entry.changes);
+      } else {
+        indexDecision(current, entry);
+      }
+    }
+    logger.info(`Loaded ${current.decisions.length} logged decisions`);
+  } catch (error) {
+    logger.error('Error loading decision log:', error);
+  }
+  return current;
+}
+
+function indexDecision({ decisions, byMessageId }, decision) {
+  // A message can be decided more than once (e.g. reclassified); the latest wins
+  const previous = byMessageId.get(decision.messageId);
+  if (previous) {
+    decisions.splice(decisions.indexOf(previous), 1);
+  }
+  decisions.push(decision);
+  byMessageId.set(decision.messageId, decision);
+}
+
+export async function recordDecision(decision) {
+  const current = await loadDecisions();
+
+  const entry = {
+    messageId: decision.messageId,
+    threadId: decision.threadId,
+    from: decision.from,
+    sender: parseAddress(decision.from).address,
+    subject: decision.subject,
+    category: decision.classification,
+    originalCategory: decision.originalClassification || null,
+    confidence: decision.confidence,
+    reason: decision.reason,
+    decidedBy: decision.decidedBy,
+    routing: decision.routing || null,
+    headerSignals: decision.headerSignals || null,
+    action: decision.action || decision.plannedAction || null,
+    shadow: !!decision.shadow,
+    timestamp: new Date().toISOString()
+  };
+
+  indexDecision(current, entry);
+
+  try {
+    await appendJsonLine(accountFile(DECISIONS_FILE), entry);
+  } catch (error) {
+    logger.error(`Error writing decision for ${decision.messageId}:`, error);
+  }
+  return entry;
+}
+
+export async function updateDecision(messageId, changes) {
+  const { byMessageId } = await loadDecisions();
+  const existing = byMessageId.get(messageId);
+  if (!existing) return null;
+
+  Object.assign(existing, changes);
+  await appendJsonLine(accountFile(DECISIONS_FILE), {
+    type: 'update',
+    messageId,
+    changes,
+    timestamp: new Date().toISOString()
+  });
+  return existing;
+}
+
+export async function getDecision(messageId) {
+  const { byMessageId } = await loadDecisions();
+  return byMessageId.get(messageId) || null;
+}
+
+// Filters: category, sender (address or domain substring), since/until (ISO
+// dates), minConfidence/maxConfidence; newest first
+export async function queryDecisions(filters = {}, { limit = 50, offset = 0 } = {}) {
+  const { decisions: all } = await loadDecisions();
+  const sender = filters.sender?.toLowerCase();
+  const since = filters.since ? new Date(filters.since).getTime() : null;
+  const until = filters.until ? new Date(filters.until).getTime() : null;
+
+  const matching = all.filter(d => {
+    if (filters.category && d.category !== filters.category) return false;
+    if (sender && !(d.sender || '').includes(sender)) return false;
+    if (filters.minConfidence !== undefined && d.confidence < filters.minConfidence) return false;
+    if (filters.maxConfidence !== undefined && d.confidence > filters.maxConfidence) return false;
+    if (filters.promptVersion !== undefined && d.decidedBy?.promptVersion !== filters.promptVersion) return false;
+
+    const time = new Date(d.timestamp).getTime();
+    if (since !== null && time < since) return false;
+    if (until !== null && time > until) return false;
+    return true;
+  });
+
+  matching.reverse();
+
+  return {
+    total: matching.length,
+    limit,
+    offset,
+    decisions: matching.slice(offset, offset + limit)
+  };
+}
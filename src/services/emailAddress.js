@@ -0,0 +1,47 @@
+// Parse a single address header value like `"Jane Doe" <jane@example.com>`
+export function parseAddress(value) {
+  if (!value) return { name: '', address: '', domain: '' };
+
+  const match = value.match(/^\s*(?:"?([^"<]*?)"?\s*)?<([^>]+)>\s*$/);
+  const name = match ? (match[1] || '').trim() : '';
+  const address = (match ? match[2] : value).trim().toLowerCase();
+  const at = address.lastIndexOf('@');
+
+  return {
+    name,
+    address,
+    domain: at === -1 ? '' : address.slice(at + 1)
+  };
+}
+
+// Parse a comma separated address list (To/Cc), ignoring commas inside quotes
+export function parseAddressList(value) {
+  if (!value) return [];
+
+  const parts = [];
+  let current = '';
+  let inQuotes = false;
+
+  for (const char of value) {
+    if (char === '"') inQuotes = !inQuotes;
+    if (char === ',' && !inQuotes) {
+      parts.push(current);
+      current = '';
+    } else {
+      current += char;
+    }
+  }
+  parts.push(current);
+
+  return parts
+    .map(part => parseAddress(part))
+    .filter(parsed => parsed.address);
+}
+
+// True when `domain` equals `parent` or is one of its subdomains
+export function isSameOrSubdomain(domain, parent) {
+  if (!domain || !parent) return false;
+  const d = domain.toLowerCase();
+  const p = parent.toLowerCase().replace(/^\./, '');
+  return d === p || d.endsWith(`.${p}`);
+}
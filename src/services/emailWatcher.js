@@ -1,104 +1,275 @@
-import fs from 'fs/promises';
-import path from 'path';
-import { fileURLToPath } from 'url';
 import {
   isAuthenticated,
   getHistoryId,
   listHistory,
   getMessage,
-  applyClassification,
-  getRecentMessages
+  listMessages,
+  getLabelIds,
+  isReauthError,
+  markReauthRequired,
+  getReauthRequired
 } from './gmail.js';
+import { classifyEmails, learnFromCorrection, isClassifierAvailable, saveLocalModel } from './classifier.js';
+import { evaluateRules } from './rules.js';
+import { isShadowMode, recordShadowDecision } from './shadow.js';
+import { recordDecision } from './decisionLog.js';
+import { planDecision, executeDecisions } from './actions.js';
+import { sweepQuarantine } from './quarantine.js';
+import { applyConfidencePolicy } from './policy.js';
+import { getSenderOverride, processLabelChanges } from './feedback.js';
+import {
+  findListEntry,
+  getListCategory,
+  getSenderHistory,
+  recordSenderDecisions,
+  recordSentMessages
+} from './senders.js';
+import { findKnownContact, refreshContactsIfStale } from './contacts.js';
+import { analyzeHeaders, senderAuthFailed } from './headerAnalysis.js';
+import { getThreadContext, getThreadCategory, alignThreadLabels } from './threads.js';
+import { isPushEnabled, renewPushWatchIfNeeded } from './push.js';
+import { readState, writeState, withLock } from './stateStore.js';
+import { mapWithConcurrency } from './concurrency.js';
+import { accountState, accountFile, getCurrentAccountId, runWithAccount } from './accountContext.js';
 import logger from '../logger.js';
 
-const __dirname = path.dirname(fileURLToPath(import.meta.url));
-const DATA_DIR = process.env.VERCEL ? '/tmp' : path.join(__dirname, '../../data');
-const PROCESSED_FILE = path.join(DATA_DIR, 'processed.json');
-
-let watcherInterval = null;
-let lastHistoryId = null;
-let processedIds = new Set();
-let stats = {
-  totalProcessed: 0,
-  important: 0,
-  review: 0,
-  junk: 0,
-  errors: 0,
-  lastRun: null,
-  isRunning: false
-};
+const PROCESSED_KEY = 'processed';
+const FETCH_CONCURRENCY = parseInt(process.env.GMAIL_FETCH_CONCURRENCY) || 5;
+
+// A poll that stops renewing the lock for this long is presumed dead
+const POLL_LOCK_TTL_MS = parseInt(process.env.POLL_LOCK_TTL_MS) || 5 * 60 * 1000;
+
+// Messages waiting for the classifier to come back; beyond this the oldest
+// are given up on and simply stay in the inbox unlabeled
+const MAX_DEFERRED = 1000;
+
+// Watcher state is kept per account; see accountContext.js
+const state = accountState(() => ({
+  watcherInterval: null,
+  polling: null,
+  pollAgain: false,
+  resumeAfterReauth: false,
+  // The poll lock handle (see withLock) while this process holds it
+  lock: null,
+  lastHistoryId: null,
+  processedIds: new Set(),
+  // Message id -> { id, since, attempts } for mail the classifier could not
+  // take; retried on the next poll once it is available again
+  deferred: new Map(),
+  stats: {
+    totalProcessed: 0,
+    byCategory: {},
+    ruleMatches: 0,
+    shadowed: 0,
+    senderOverrides: 0,
+    senderLists: 0,
+    knownContacts: 0,
+    threadMatches: 0,
+    corrections: 0,
+    quarantined: 0,
+    lowConfidence: 0,
+    deferred: 0,
+    errors: 0,
+    lastRun: null,
+    isRunning: false
+  }
+}));
 
 async function loadProcessedIds() {
+  const current = state();
   try {
-    const data = await fs.readFile(PROCESSED_FILE, 'utf8');
-    const parsed = JSON.parse(data);
-    processedIds = new Set(parsed.ids || []);
-    lastHistoryId = parsed.historyId || null;
-    logger.info(`Loaded ${processedIds.size} processed message IDs`);
+    const parsed = await readState(accountFile(PROCESSED_KEY));
+    current.processedIds = new Set(parsed?.ids || []);
+    current.lastHistoryId = parsed?.historyId || null;
+    current.deferred = new Map((parsed?.deferred || []).map(entry => [entry.id, entry]));
+    logger.debug(`Loaded ${current.processedIds.size} processed message IDs`);
   } catch (error) {
-    if (error.code !== 'ENOENT') {
-      logger.error('Error loading processed IDs:', error);
-    }
-    processedIds = new Set();
+    logger.error('Error loading processed IDs:', error);
+    current.processedIds = new Set();
+    current.deferred = new Map();
   }
 }
 
 async function saveProcessedIds() {
-  await fs.mkdir(DATA_DIR, { recursive: true });
+  const current = state();
 
   // Keep only last 10000 IDs to prevent unbounded growth
-  const idsArray = Array.from(processedIds);
+  const idsArray = Array.from(current.processedIds);
   if (idsArray.length > 10000) {
     const trimmed = idsArray.slice(-10000);
-    processedIds = new Set(trimmed);
+    current.processedIds = new Set(trimmed);
+  }
+
+  if (current.deferred.size > MAX_DEFERRED) {
+    const dropped = [...current.deferred.keys()].slice(0, current.deferred.size - MAX_DEFERRED);
+    dropped.forEach(id => current.deferred.delete(id));
+    logger.warn(`Gave up on ${dropped.length} deferred messages; they stay in the inbox unlabeled`);
   }
 
-  await fs.writeFile(PROCESSED_FILE, JSON.stringify({
-    ids: Array.from(processedIds),
-    historyId: lastHistoryId,
+  await writeState(accountFile(PROCESSED_KEY), {
+    ids: Array.from(current.processedIds),
+    historyId: current.lastHistoryId,
+    deferred: [...current.deferred.values()],
     savedAt: new Date().toISOString()
-  }, null, 2));
+  });
 }
 
-async function processMessage(messageId) {
-  if (processedIds.has(messageId)) {
-    logger.debug(`Skipping already processed message: ${messageId}`);
-    return null;
+// Rules, sender lists, thread context and learned sender overrides, which
+// decide without calling the model
+async function decideLocally(email) {
+  // User-defined rules are deterministic and free, so they run before the AI,
+  // followed by the allow/block lists, the conversation a reply belongs to and
+  // overrides learned from corrections
+  const rule = await evaluateRules(email);
+  if (rule) {
+    return {
+      classification: rule.category,
+      confidence: 1,
+      reason: `Matched rule "${rule.name}"`,
+      decidedBy: { type: 'rule', id: rule.id, name: rule.name }
+    };
+  }
+
+  // An allow entry only counts for mail that really comes from the sender
+  let listed = await findListEntry(email.from);
+  if (listed?.type === 'allow' && senderAuthFailed(email.headerAnalysis)) listed = null;
+  const listCategory = listed && await getListCategory(listed);
+  if (listCategory) {
+    return {
+      classification: listCategory,
+      confidence: 1,
+      reason: `Sender is on the ${listed.type} list (${listed.value})`,
+      decidedBy: { type: 'sender-list', list: listed.type, value: listed.value }
+    };
+  }
+
+  // Replies stay with their conversation, unless the sender is forged
+  const thread = senderAuthFailed(email.headerAnalysis) ? null : await getThreadCategory(email.threadContext);
+  if (thread) {
+    return {
+      classification: thread.category,
+      confidence: 1,
+      reason: thread.reason,
+      decidedBy: { type: 'thread', threadId: email.threadId }
+    };
+  }
+
+  const override = await getSenderOverride(email);
+  if (override) {
+    return {
+      classification: override.category,
+      confidence: 1,
+      reason: `Sender corrected to ${override.category} ${override.corrections} times`,
+      decidedBy: { type: 'sender-override', sender: override.sender }
+    };
   }
 
+  return null;
+}
+
+// Fetch a message and decide whether it still needs classifying. With
+// `reclassify`, messages we already labeled are decided again, including
+// ones their category archived.
+async function fetchCandidate(messageId, { reclassify = false } = {}) {
+  const { processedIds, stats } = state();
   try {
     const email = await getMessage(messageId);
 
+    const ourLabels = Object.values(getLabelIds());
+    const labeled = email.labelIds.some(id => ourLabels.includes(id));
+
+    if (reclassify && labeled && !email.labelIds.includes('TRASH')) {
+      return email;
+    }
+
     // Skip if not in inbox (already processed or archived)
     if (!email.labelIds.includes('INBOX')) {
       processedIds.add(messageId);
       return null;
     }
 
-    // Skip if already has our labels
-    const ourLabels = ['AI-Important', 'AI-Review', 'AI-Junk'];
-    if (email.labelIds.some(id => ourLabels.includes(id))) {
+    // Skip if already has one of our category labels
+    if (labeled) {
       processedIds.add(messageId);
       return null;
     }
 
-    logger.info(`Processing: "${email.subject}" from ${email.from}`);
+    return email;
+  } catch (error) {
+    logger.error(`Error fetching message ${messageId}:`, error);
+    stats.errors++;
+    return null;
+  }
+}
+
+// The label ids to replace when a message is decided again
+function relabelOptions(email, { reclassify = false } = {}) {
+  return { existingLabels: reclassify ? email.labelIds : [] };
+}
+
+// Route a local or model answer through the confidence policy (low-confidence
+// answers go to a safer category) into the decision that is acted on and logged
+async function buildDecision(email, classified) {
+  const result = await applyConfidencePolicy(classified, { knownContact: email.knownContact });
+  return {
+    messageId: email.id,
+    threadId: email.threadId,
+    subject: email.subject,
+    from: email.from,
+    classification: result.classification,
+    confidence: result.confidence,
+    reason: result.reason,
+    decidedBy: result.decidedBy,
+    originalClassification: result.originalClassification,
+    routing: result.routing,
+    headerSignals: email.headerAnalysis || null
+  };
+}
+
+// `dryRun` only works out what would happen: nothing is applied or logged.
+// In shadow mode the planned action is recorded instead; otherwise `applied`
+// is what executeDecisions did to the message (or the error it hit).
+async function finalizeMessage(email, decision, { dryRun = false, reclassify = false, shadow = false, applied = null } = {}) {
+  const { processedIds, stats } = state();
+  const messageId = email.id;
+  const relabel = relabelOptions(email, { reclassify });
+
+  try {
+    if (dryRun) {
+      decision.plannedAction = await planDecision(decision, relabel);
+      return { ...decision, dryRun: true };
+    }
+
+    // In shadow mode record what would happen but leave the mailbox alone
+    if (shadow) {
+      decision.plannedAction = await planDecision(decision, relabel);
+      await recordShadowDecision(decision);
+      stats.shadowed++;
+    } else {
+      if (applied instanceof Error) throw applied;
+      decision.action = applied;
+      if (decision.action.action === 'quarantined') stats.quarantined++;
+
+      try {
+        await alignThreadLabels(decision.classification, email.threadContext);
+      } catch (error) {
+        logger.warn(`Could not align labels of thread ${email.threadId}:`, error.message);
+      }
+    }
 
-    const result = await classifyEmail(email);
-    await applyClassification(messageId, result.classification);
+    await recordDecision({ ...decision, shadow });
 
     processedIds.add(messageId);
     stats.totalProcessed++;
-    stats[result.classification.toLowerCase()]++;
-
-    return {
-      messageId,
-      subject: email.subject,
-      from: email.from,
-      classification: result.classification,
-      confidence: result.confidence,
-      reason: result.reason
-    };
+    stats.byCategory[decision.classification] = (stats.byCategory[decision.classification] || 0) + 1;
+    if (decision.decidedBy.type === 'rule') stats.ruleMatches++;
+    if (decision.decidedBy.type === 'sender-override') stats.senderOverrides++;
+    if (decision.decidedBy.type === 'sender-list') stats.senderLists++;
+    if (decision.decidedBy.type === 'thread') stats.threadMatches++;
+    if (decision.routing?.reason === 'below-threshold') stats.lowConfidence++;
+    if (decision.routing?.reason === 'known-contact') stats.knownContacts++;
+
+    return { ...decision, shadow };
   } catch (error) {
     logger.error(`Error processing message ${messageId}:`, error);
     stats.errors++;
@@ -106,65 +277,363 @@ async function processMessage(messageId) {
   }
 }
 
-async function poll() {
-  if (!isAuthenticated()) {
-    logger.warn('Not authenticated, skipping poll');
-    return;
+// Fetch messages with bounded concurrency, decide what rules and overrides
+// can, send the rest to the model in batches, then apply everything together
+async function processMessages(messageIds, options = {}) {
+  const { processedIds, stats, deferred } = state();
+  const pendingIds = [...new Set(messageIds)].filter(id => {
+    if (!options.reclassify && processedIds.has(id)) {
+      logger.debug(`Skipping already processed message: ${id}`);
+      return false;
+    }
+    return true;
+  });
+
+  // Taken off the deferred list; put back below if deferred again
+  const previouslyDeferred = new Map();
+  if (!options.dryRun) {
+    for (const id of pendingIds) {
+      if (!deferred.has(id)) continue;
+      previouslyDeferred.set(id, deferred.get(id));
+      deferred.delete(id);
+    }
+  }
+
+  const emails = (await mapWithConcurrency(pendingIds, FETCH_CONCURRENCY, id => fetchCandidate(id, options)))
+    .filter(Boolean);
+
+  const decided = new Map();
+  const forModel = [];
+  const threads = new Map();
+
+  for (const email of emails) {
+    logger.info(`Processing: "${email.subject}" from ${email.from}`);
+    try {
+      email.headerAnalysis = analyzeHeaders(email);
+      // A forged From must not pass for a known contact
+      email.knownContact = senderAuthFailed(email.headerAnalysis) ? null : await findKnownContact(email.from);
+      email.threadContext = await getThreadContext(email, threads);
+      const local = await decideLocally(email);
+      if (local) {
+        decided.set(email.id, local);
+      } else {
+        forModel.push(email);
+      }
+    } catch (error) {
+      logger.error(`Error processing message ${email.id}:`, error);
+      stats.errors++;
+    }
   }
 
+  if (forModel.length > 0) {
+    // Give the model what we know about each sender from earlier mail
+    for (const email of forModel) {
+      email.senderHistory = await getSenderHistory(email.from);
+    }
+
+    const results = await classifyEmails(forModel);
+    for (const [id, result] of results) {
+      // Left untouched in the inbox until the classifier is reachable again
+      if (result.deferred) {
+        stats.deferred++;
+        if (!options.dryRun) {
+          const previous = previouslyDeferred.get(id);
+          deferred.set(id, {
+            id,
+            since: previous?.since || new Date().toISOString(),
+            attempts: (previous?.attempts || 0) + 1
+          });
+        }
+        continue;
+      }
+      decided.set(id, {
+        ...result,
+        decidedBy: { type: 'model', provider: result.provider, model: result.model, promptVersion: result.promptVersion }
+      });
+    }
+  }
+
+  const pending = [];
+  for (const email of emails) {
+    if (!decided.has(email.id)) continue;
+    try {
+      pending.push({ email, decision: await buildDecision(email, decided.get(email.id)) });
+    } catch (error) {
+      logger.error(`Error processing message ${email.id}:`, error);
+      stats.errors++;
+    }
+  }
+
+  // Another poll may already be working on these messages
+  const { lock } = state();
+  if (!options.dryRun && lock && !lock.held) {
+    throw new Error('Lost the poll lock; leaving these messages to the poll that took it over');
+  }
+
+  // Apply all decisions in one go, so messages that share an action share
+  // a batchModify call
+  const shadow = !options.dryRun && await isShadowMode();
+  const applied = options.dryRun || shadow
+    ? new Map()
+    : await executeDecisions(pending.map(({ email, decision }) => ({
+      messageId: email.id,
+      decision,
+      ...relabelOptions(email, options)
+    })));
+
+  const outcomes = [];
+  for (const { email, decision } of pending) {
+    outcomes.push(await finalizeMessage(email, decision, { ...options, shadow, applied: applied.get(email.id) }));
+  }
+
+  const finalized = outcomes.filter(Boolean);
+  // Shadow decisions must not shape the reputation real decisions rely on
+  if (!options.dryRun && !shadow) {
+    await recordSenderDecisions(finalized.map(o => ({ from: o.from, classification: o.classification })));
+  }
+  return finalized;
+}
+
+// Recipients of mail the user sent count as known contacts (see senders.js)
+async function recordSentMail(messageIds) {
+  const messages = await mapWithConcurrency(messageIds, FETCH_CONCURRENCY, async (id) => {
+    try {
+      return await getMessage(id);
+    } catch (error) {
+      logger.warn(`Could not fetch sent message ${id}:`, error.message);
+      return null;
+    }
+  });
+
+  const recorded = await recordSentMessages(messages.filter(Boolean));
+  if (recorded > 0) {
+    logger.info(`Recorded ${recorded} recipients from ${messageIds.length} sent messages`);
+  }
+}
+
+// Make the poll lock visible to processMessages, which checks it is still
+// held before touching the mailbox
+async function whileHolding(lock, fn) {
+  const current = state();
+  current.lock = lock;
+  try {
+    return await fn();
+  } finally {
+    current.lock = null;
+  }
+}
+
+// Run the pipeline over specific messages (backfill jobs). It holds the poll
+// lock so it never races the poller over the same messages; returns null when
+// the lock is taken, so the caller can wait and try again.
+export async function processMessageBatch(messageIds, options = {}) {
+  const current = state();
+  const errorsBefore = current.stats.errors;
+
+  const { acquired, result } = await withLock(`poll:${getCurrentAccountId()}`, POLL_LOCK_TTL_MS, (lock) =>
+    whileHolding(lock, async () => {
+      await loadProcessedIds();
+      const outcomes = await processMessages(messageIds, options);
+      if (!options.dryRun && lock.held) await saveProcessedIds();
+      await saveLocalModel();
+      return outcomes;
+    }));
+
+  if (!acquired) return null;
+  return { outcomes: result, errors: current.stats.errors - errorsBefore };
+}
+
+// Merge labelsAdded/labelsRemoved history records into messageId -> { added, removed }
+function collectLabelChanges(changes, records, kind) {
+  if (!records) return;
+
+  for (const record of records) {
+    const id = record.message.id;
+    const entry = changes.get(id) || { added: [], removed: [] };
+    entry[kind].push(...(record.labelIds || []));
+    changes.set(id, entry);
+  }
+}
+
+async function runPoll() {
+  const current = state();
+  const { stats } = current;
+
   try {
     stats.lastRun = new Date().toISOString();
     let messagesToProcess = [];
+    const sentMessages = [];
+    const labelChanges = new Map();
 
-    if (lastHistoryId) {
+    if (current.lastHistoryId) {
       // Incremental sync using history API
-      const history = await listHistory(lastHistoryId);
+      const history = await listHistory(current.lastHistoryId);
 
       if (history === null) {
         // History too old, do full sync
         logger.info('History ID expired, doing full sync');
-        lastHistoryId = null;
+        current.lastHistoryId = null;
       } else if (history.history) {
         for (const item of history.history) {
           if (item.messagesAdded) {
             for (const added of item.messagesAdded) {
-              messagesToProcess.push(added.message.id);
+              // Mail the user sent is not filtered unless it also landed in the inbox
+              const labelIds = added.message.labelIds || [];
+              if (labelIds.includes('SENT')) sentMessages.push(added.message.id);
+              if (!labelIds.includes('SENT') || labelIds.includes('INBOX')) {
+                messagesToProcess.push(added.message.id);
+              }
             }
           }
+          collectLabelChanges(labelChanges, item.labelsAdded, 'added');
+          collectLabelChanges(labelChanges, item.labelsRemoved, 'removed');
         }
-        lastHistoryId = history.historyId;
+        current.lastHistoryId = history.historyId;
       } else {
         // No new messages
-        lastHistoryId = history.historyId;
+        current.lastHistoryId = history.historyId;
       }
     }
 
-    if (!lastHistoryId) {
+    if (!current.lastHistoryId) {
       // Initial sync - get recent inbox messages
-      const messages = await getRecentMessages(20);
+      const { messages = [] } = await listMessages({ q: 'in:inbox', maxResults: 20 });
       messagesToProcess = messages.map(m => m.id);
-      lastHistoryId = await getHistoryId();
+      current.lastHistoryId = await getHistoryId();
+    }
+
+    if (labelChanges.size > 0) {
+      const corrections = await processLabelChanges(labelChanges);
+      stats.corrections += corrections.length;
+      for (const c of corrections) {
+        await learnFromCorrection({ from: c.from, subject: c.subject, snippet: '' }, c.corrected);
+      }
+    }
+
+    if (sentMessages.length > 0) {
+      await recordSentMail(sentMessages);
+    }
+
+    // Retry mail the classifier could not take earlier, unless it is still paused
+    if (current.deferred.size > 0 && isClassifierAvailable()) {
+      logger.info(`Retrying ${current.deferred.size} deferred messages`);
+      messagesToProcess = [...current.deferred.keys(), ...messagesToProcess];
     }
 
     if (messagesToProcess.length > 0) {
       logger.info(`Processing ${messagesToProcess.length} messages`);
 
-      for (const messageId of messagesToProcess) {
-        await processMessage(messageId);
-      }
-
-      await saveProcessedIds();
+      await processMessages(messagesToProcess);
     } else {
       logger.debug('No new messages to process');
     }
+
+    // Trash quarantined mail whose retention has expired (throttled
+    // internally); shadow mode leaves the mailbox alone, so not then
+    if (!(await isShadowMode())) {
+      await sweepQuarantine();
+    }
+
+    // Rebuild the known contacts index once a day (throttled internally)
+    await refreshContactsIfStale();
+
+    // Keep the Gmail push watch from expiring (no-op unless push mode is on)
+    await renewPushWatchIfNeeded();
   } catch (error) {
+    if (isReauthError(error)) {
+      pauseForReauth(error);
+      return;
+    }
     logger.error('Poll error:', error);
     stats.errors++;
   }
 }
 
+// Polling with a revoked grant only piles up errors, so the watcher stops
+// until the account is re-authenticated (see resumeAfterReauth)
+export function pauseForReauth(error) {
+  const current = state();
+  markReauthRequired(error);
+  if (stopWatcher()) {
+    current.resumeAfterReauth = true;
+  }
+}
+
+// Restart a watcher paused by pauseForReauth once OAuth has completed again
+export async function resumeAfterReauth() {
+  const current = state();
+  if (!current.resumeAfterReauth) return false;
+
+  current.resumeAfterReauth = false;
+  await startWatcher();
+  return true;
+}
+
+// Timer, cron and push notifications can all trigger a sync; they share one
+// run per account, and a trigger arriving mid-run schedules one more pass
+async function poll() {
+  const current = state();
+  if (current.polling) {
+    current.pollAgain = true;
+    return current.polling;
+  }
+
+  current.polling = (async () => {
+    try {
+      do {
+        current.pollAgain = false;
+        await runExclusivePoll();
+      } while (current.pollAgain);
+    } finally {
+      current.polling = null;
+    }
+  })();
+  return current.polling;
+}
+
+// The lock stops overlapping invocations, e.g. two serverless instances
+// handling a cron poll and a push notification, from processing the same
+// history twice. State is re-read under the lock since another instance may
+// have moved the cursor on.
+async function runExclusivePoll() {
+  if (!isAuthenticated()) {
+    logger.warn('Not authenticated, skipping poll');
+    return;
+  }
+
+  const { acquired } = await withLock(`poll:${getCurrentAccountId()}`, POLL_LOCK_TTL_MS, (lock) =>
+    whileHolding(lock, async () => {
+      await loadProcessedIds();
+      await runPoll();
+      // The poll that took over owns the cursor now
+      if (lock.held) await saveProcessedIds();
+      // What the offline model learned from this poll's answers and corrections
+      await saveLocalModel();
+    }));
+
+  if (!acquired) {
+    logger.info('Another poll is in progress for this account, skipping');
+  }
+}
+
+// Sync after a push notification, unless its history is already processed.
+// Returns whether a sync ran.
+export async function syncFromPush(historyId) {
+  const current = state();
+  await loadProcessedIds();
+
+  if (current.lastHistoryId && BigInt(historyId) <= BigInt(current.lastHistoryId)) {
+    logger.debug(`Push for history ${historyId} already synced`);
+    return false;
+  }
+
+  await poll();
+  return true;
+}
+
 export async function startWatcher() {
-  if (watcherInterval) {
+  const current = state();
+  if (current.watcherInterval) {
     logger.warn('Watcher already running');
     return false;
   }
@@ -173,26 +642,30 @@ export async function startWatcher() {
     throw new Error('Not authenticated with Gmail');
   }
 
-  await loadProcessedIds();
-
-  const intervalMs = parseInt(process.env.POLL_INTERVAL_MS) || 60000;
+  // In push mode Gmail notifies us of new mail; the timer only renews the
+  // watch and catches anything a lost notification missed
+  const intervalMs = isPushEnabled()
+    ? parseInt(process.env.PUSH_FALLBACK_POLL_MS) || 60 * 60 * 1000
+    : parseInt(process.env.POLL_INTERVAL_MS) || 60000;
 
   // Run immediately
   await poll();
 
-  // Then schedule periodic polls
-  watcherInterval = setInterval(poll, intervalMs);
-  stats.isRunning = true;
+  // Then schedule periodic polls, each on behalf of this account
+  const accountId = getCurrentAccountId();
+  current.watcherInterval = setInterval(() => runWithAccount(accountId, poll), intervalMs);
+  current.stats.isRunning = true;
 
-  logger.info(`Email watcher started, polling every ${intervalMs / 1000}s`);
+  logger.info(`Email watcher started in ${isPushEnabled() ? 'push' : 'poll'} mode, polling every ${intervalMs / 1000}s`);
   return true;
 }
 
 export function stopWatcher() {
-  if (watcherInterval) {
-    clearInterval(watcherInterval);
-    watcherInterval = null;
-    stats.isRunning = false;
+  const current = state();
+  if (current.watcherInterval) {
+    clearInterval(current.watcherInterval);
+    current.watcherInterval = null;
+    current.stats.isRunning = false;
     logger.info('Email watcher stopped');
     return true;
   }
@@ -200,14 +673,19 @@ export function stopWatcher() {
 }
 
 export function getWatcherStatus() {
+  const { stats, processedIds, deferred } = state();
   return {
     ...stats,
-    processedCount: processedIds.size
+    mode: isPushEnabled() ? 'push' : 'poll',
+    pausedForReauth: getReauthRequired() !== null,
+    classificationPaused: !isClassifierAvailable(),
+    processedCount: processedIds.size,
+    deferredCount: deferred.size
   };
 }
 
 export function isWatcherRunning() {
-  return watcherInterval !== null;
+  return state().watcherInterval !== null;
 }
 
 export { poll };
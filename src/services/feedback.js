@@ -0,0 +1,192 @@
+import { readJson, writeJson } from './jsonStore.js';
+import { getDecision, updateDecision } from './decisionLog.js';
+import { listCategories } from './categories.js';
+import { getLabelIds } from './gmail.js';
+import { parseAddress } from './emailAddress.js';
+import { recordSenderCorrection } from './senders.js';
+import { accountState, accountFile } from './accountContext.js';
+import logger from '../logger.js';
+
+const CORRECTIONS_FILE = 'corrections.json';
+const MAX_CORRECTIONS = 5000;
+
+// How many times a sender must be corrected to the same category before the
+// filter stops asking the model about them
+const OVERRIDE_THRESHOLD = parseInt(process.env.FEEDBACK_OVERRIDE_THRESHOLD) || 2;
+const FEW_SHOT_EXAMPLES = parseInt(process.env.FEEDBACK_FEW_SHOT_EXAMPLES) || 5;
+
+const state = accountState(() => ({ corrections: null }));
+
+async function loadCorrections() {
+  const current = state();
+  if (current.corrections) return current;
+
+  try {
+    const data = await readJson(accountFile(CORRECTIONS_FILE), { corrections: [] });
+    current.corrections = data.corrections || [];
+  } catch (error) {
+    logger.error('Error loading corrections:', error);
+    current.corrections = [];
+  }
+  return current;
+}
+
+async function saveCorrections(current) {
+  if (current.corrections.length > MAX_CORRECTIONS) {
+    current.corrections = current.corrections.slice(-MAX_CORRECTIONS);
+  }
+  await writeJson(accountFile(CORRECTIONS_FILE), {
+    corrections: current.corrections,
+    savedAt: new Date().toISOString()
+  });
+}
+
+// Work out which category the user moved a message to, from the labels they
+// changed in Gmail. Returns null when the change doesn't contradict the decision.
+async function inferCorrectedCategory(decision, added, removed) {
+  const labelIds = getLabelIds();
+  const categoryByLabel = Object.fromEntries(Object.entries(labelIds).map(([name, id]) => [id, name]));
+
+  const movedTo = added.map(id => categoryByLabel[id]).find(name => name && name !== decision.category);
+  if (movedTo) return movedTo;
+
+  // Pulled back into the inbox after we archived or trashed it
+  const action = decision.action?.action;
+  const restoredToInbox = added.includes('INBOX') && decision.action?.removeLabels?.includes('INBOX');
+  const restoredFromTrash = removed.includes('TRASH') && action === 'trashed';
+
+  if (restoredToInbox || restoredFromTrash) {
+    const categories = await listCategories();
+    return categories.find(c => c.action === 'keep')?.name || null;
+  }
+
+  return null;
+}
+
+export async function recordCorrection({ messageId, from, subject, original, corrected, source }) {
+  const current = await loadCorrections();
+
+  const correction = {
+    messageId,
+    from,
+    sender: parseAddress(from).address,
+    subject,
+    original,
+    corrected,
+    source,
+    detectedAt: new Date().toISOString()
+  };
+
+  current.corrections = current.corrections.filter(c => c.messageId !== messageId);
+  current.corrections.push(correction);
+  await saveCorrections(current);
+  await updateDecision(messageId, { correctedTo: corrected, correctedAt: correction.detectedAt });
+  await recordSenderCorrection(from, original, corrected);
+
+  logger.info(`Correction: "${subject}" from ${correction.sender} moved ${original} -> ${corrected} (${source})`);
+  return correction;
+}
+
+// changes: Map of messageId -> { added: [labelIds], removed: [labelIds] } from Gmail history
+export async function processLabelChanges(changes) {
+  const recorded = [];
+
+  for (const [messageId, { added, removed }] of changes) {
+    try {
+      const decision = await getDecision(messageId);
+
+      // Only decisions we actually applied can be corrected; our own undo
+      // and label changes must not count as user feedback
+      if (!decision || decision.shadow || decision.undoneAt) continue;
+
+      const corrected = await inferCorrectedCategory(decision, added, removed);
+      if (!corrected || corrected === decision.correctedTo) continue;
+
+      recorded.push(await recordCorrection({
+        messageId,
+        from: decision.from,
+        subject: decision.subject,
+        original: decision.category,
+        corrected,
+        source: 'gmail'
+      }));
+    } catch (error) {
+      logger.error(`Error processing label change for ${messageId}:`, error);
+    }
+  }
+
+  return recorded;
+}
+
+export async function listCorrections({ limit = 100 } = {}) {
+  const { corrections } = await loadCorrections();
+  return corrections.slice(-limit).reverse();
+}
+
+function computeOverrides(all) {
+  const bySender = new Map();
+
+  for (const c of all) {
+    if (!c.sender || c.ignoredForOverride) continue;
+    const entry = bySender.get(c.sender) || { sender: c.sender, counts: {}, last: null };
+    entry.counts[c.corrected] = (entry.counts[c.corrected] || 0) + 1;
+    entry.last = c;
+    bySender.set(c.sender, entry);
+  }
+
+  const overrides = [];
+  for (const entry of bySender.values()) {
+    // The most recent correction wins, as long as it has been made often enough
+    const category = entry.last.corrected;
+    if (entry.counts[category] >= OVERRIDE_THRESHOLD) {
+      overrides.push({
+        sender: entry.sender,
+        category,
+        corrections: entry.counts[category],
+        lastCorrectedAt: entry.last.detectedAt
+      });
+    }
+  }
+  return overrides;
+}
+
+export async function listSenderOverrides() {
+  const { corrections } = await loadCorrections();
+  return computeOverrides(corrections);
+}
+
+export async function getSenderOverride(email) {
+  const { address } = parseAddress(email.from);
+  if (!address) return null;
+
+  const overrides = await listSenderOverrides();
+  return overrides.find(o => o.sender === address) || null;
+}
+
+// Stop using a sender's corrections as an override (they still count as examples)
+export async function clearSenderOverride(sender) {
+  const current = await loadCorrections();
+  const address = sender.toLowerCase();
+  let cleared = 0;
+
+  for (const c of current.corrections) {
+    if (c.sender === address && !c.ignoredForOverride) {
+      c.ignoredForOverride = true;
+      cleared++;
+    }
+  }
+
+  if (cleared > 0) await saveCorrections(current);
+  return cleared;
+}
+
+// Recent corrections, used as few-shot examples in the classification prompt
+export async function getFewShotExamples(limit = FEW_SHOT_EXAMPLES) {
+  const { corrections } = await loadCorrections();
+  return corrections.slice(-limit).map(c => ({
+    from: c.from,
+    subject: c.subject,
+    original: c.original,
+    corrected: c.corrected
+  }));
+}
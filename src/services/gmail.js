@@ -1,54 +1,142 @@
 import { google } from 'googleapis';
 import { loadTokens, saveTokens } from './tokenStorage.js';
+import { listCategories, getCategory } from './categories.js';
+import { getPolicyLabelNames } from './policy.js';
+import { mapWithConcurrency } from './concurrency.js';
+import { parsePayload } from './mime.js';
+import { gmailRequest, quotaUnits } from './gmailScheduler.js';
+import { accountState, getCurrentAccountId } from './accountContext.js';
 import logger from '../logger.js';
 
-const SCOPES = ['https://www.googleapis.com/auth/gmail.modify'];
-
-const LABELS = {
-  IMPORTANT: 'AI-Important',
-  REVIEW: 'AI-Review',
-  JUNK: 'AI-Junk'
-};
-
-let oauth2Client = null;
-let gmail = null;
-let labelIds = {};
+// Read-only contacts, requested only with CONTACTS_PEOPLE_API=true; accounts
+// connected before it was set keep working without them until re-authenticated
+const PEOPLE_SCOPES = [
+  'https://www.googleapis.com/auth/contacts.readonly',
+  'https://www.googleapis.com/auth/contacts.other.readonly'
+];
+const SCOPES = [
+  'https://www.googleapis.com/auth/gmail.modify',
+  ...(process.env.CONTACTS_PEOPLE_API === 'true' ? PEOPLE_SCOPES : [])
+];
+const FETCH_CONCURRENCY = parseInt(process.env.GMAIL_FETCH_CONCURRENCY) || 5;
+// The most ids Gmail accepts in one batchModify call
+const BATCH_MODIFY_LIMIT = 1000;
+
+// Client and label ids for the account in the current context
+const state = accountState(() => ({
+  oauth2Client: null,
+  gmail: null,
+  labelIds: {},
+  extraLabelIds: {},
+  reauthRequired: null
+}));
+
+function requireGmail() {
+  const { gmail } = state();
+  if (!gmail) throw new Error('Gmail not initialized');
+  return gmail;
+}
 
 export function getOAuth2Client() {
-  if (!oauth2Client) {
-    oauth2Client = new google.auth.OAuth2(
+  const current = state();
+  if (!current.oauth2Client) {
+    const accountId = getCurrentAccountId();
+    current.oauth2Client = new google.auth.OAuth2(
       process.env.GOOGLE_CLIENT_ID,
       process.env.GOOGLE_CLIENT_SECRET,
       process.env.GOOGLE_REDIRECT_URI
     );
 
-    oauth2Client.on('tokens', async (tokens) => {
+    // Refreshes fire outside any request, so the account is captured here
+    current.oauth2Client.on('tokens', async (tokens) => {
       if (tokens.refresh_token) {
-        const existingTokens = await loadTokens();
-        await saveTokens({ ...existingTokens, ...tokens });
-        logger.info('Tokens refreshed and saved');
+        const existingTokens = await loadTokens(accountId);
+        await saveTokens({ ...existingTokens, ...tokens }, accountId);
+        logger.info(`Tokens refreshed and saved for account ${accountId}`);
       }
     });
   }
-  return oauth2Client;
+  return current.oauth2Client;
 }
 
-export function getAuthUrl() {
+// `state` is echoed back to the callback; `codeChallenge` is the S256 PKCE
+// challenge for the verifier the callback will present
+export function getAuthUrl({ state, codeChallenge }) {
   const client = getOAuth2Client();
   return client.generateAuthUrl({
     access_type: 'offline',
     scope: SCOPES,
-    prompt: 'consent'
+    prompt: 'consent',
+    state,
+    code_challenge: codeChallenge,
+    code_challenge_method: 'S256'
   });
 }
 
-export async function handleAuthCallback(code) {
+// Exchange an OAuth code on a throwaway client and find out whose mailbox it
+// grants, so nothing is stored until the caller has decided to accept it
+export async function exchangeAuthCode(code, codeVerifier) {
+  const client = new google.auth.OAuth2(
+    process.env.GOOGLE_CLIENT_ID,
+    process.env.GOOGLE_CLIENT_SECRET,
+    process.env.GOOGLE_REDIRECT_URI
+  );
+  const { tokens } = await client.getToken({ code, codeVerifier });
+  client.setCredentials(tokens);
+
+  const { data } = await google.gmail({ version: 'v1', auth: client }).users.getProfile({ userId: 'me' });
+  return { tokens, email: data.emailAddress };
+}
+
+// Store tokens for the account in the current context and connect to Gmail
+export async function completeAuth(tokens) {
   const client = getOAuth2Client();
-  const { tokens } = await client.getToken(code);
   client.setCredentials(tokens);
   await saveTokens(tokens);
+  state().reauthRequired = null;
   await initializeGmail();
-  return tokens;
+}
+
+// Revoke the account's grant at Google so its tokens stop working anywhere
+// they were copied. Returns false if there was nothing left to revoke.
+export async function revokeAccess() {
+  const tokens = await loadTokens();
+  const token = tokens?.refresh_token || tokens?.access_token;
+  if (!token) return false;
+
+  try {
+    await getOAuth2Client().revokeToken(token);
+    logger.info('Revoked Google OAuth grant');
+    return true;
+  } catch (error) {
+    if (isReauthError(error) || error.response?.data?.error === 'invalid_token') {
+      logger.info('Google OAuth grant was already revoked or expired');
+      return false;
+    }
+    throw error;
+  }
+}
+
+// Google answers invalid_grant once a refresh token is revoked or expired (or
+// the password changed); only a new OAuth flow fixes that
+export function isReauthError(error) {
+  return error?.response?.data?.error === 'invalid_grant' || /invalid_grant/.test(error?.message || '');
+}
+
+// Drop the dead client so nothing keeps calling Gmail with it
+export function markReauthRequired(error) {
+  const current = state();
+  current.gmail = null;
+  current.reauthRequired = {
+    since: new Date().toISOString(),
+    reason: error.response?.data?.error_description || error.message
+  };
+  logger.error(`Gmail access for account ${getCurrentAccountId()} was revoked or has expired; re-authenticate via /auth/google`);
+}
+
+// { since, reason } when the account must go through OAuth again, else null
+export function getReauthRequired() {
+  return state().reauthRequired;
 }
 
 export async function initializeGmail() {
@@ -61,49 +149,94 @@ export async function initializeGmail() {
   }
 
   client.setCredentials(tokens);
-  gmail = google.gmail({ version: 'v1', auth: client });
+  // Retries are left to the scheduler, which also covers POSTs and 403 rate limits
+  state().gmail = google.gmail({ version: 'v1', auth: client, retry: false });
 
-  // Ensure custom labels exist
-  await ensureLabels();
+  // Ensure custom labels exist; this is also the first call to use the tokens
+  try {
+    await ensureLabels();
+  } catch (error) {
+    if (!isReauthError(error)) throw error;
+    markReauthRequired(error);
+    return false;
+  }
 
   logger.info('Gmail API initialized');
   return true;
 }
 
 export function getGmailClient() {
-  return gmail;
+  return state().gmail;
+}
+
+// People API client when the account's grant covers the contacts scopes, else null
+export function getPeopleClient() {
+  requireGmail();
+  const client = getOAuth2Client();
+  const granted = (client.credentials.scope || '').split(' ');
+  if (!PEOPLE_SCOPES.every(scope => granted.includes(scope))) return null;
+  return google.people({ version: 'v1', auth: client });
 }
 
 export function isAuthenticated() {
-  return gmail !== null;
+  return state().gmail !== null;
+}
+
+// Forget the account's client, e.g. after logout
+export function disconnectGmail() {
+  const current = state();
+  current.oauth2Client = null;
+  current.gmail = null;
+  current.labelIds = {};
+  current.extraLabelIds = {};
+  current.reauthRequired = null;
+}
+
+async function findOrCreateLabel(existingLabels, labelName) {
+  const existing = existingLabels.find(l => l.name === labelName);
+
+  if (existing) {
+    logger.info(`Label "${labelName}" already exists with ID: ${existing.id}`);
+    return existing.id;
+  }
+
+  const gmail = requireGmail();
+  const { data: newLabel } = await gmailRequest('labels.create', () => gmail.users.labels.create({
+    userId: 'me',
+    requestBody: {
+      name: labelName,
+      labelListVisibility: 'labelShow',
+      messageListVisibility: 'show'
+    }
+  }));
+  logger.info(`Created label "${labelName}" with ID: ${newLabel.id}`);
+  return newLabel.id;
 }
 
-async function ensureLabels() {
-  if (!gmail) return;
+// Create a Gmail label for every category in the registry, plus the labels
+// used by confidence policies (safe to call again after categories change)
+export async function ensureLabels() {
+  const current = state();
+  if (!current.gmail) return;
 
   try {
-    const { data } = await gmail.users.labels.list({ userId: 'me' });
+    const { gmail } = current;
+    const { data } = await gmailRequest('labels.list', () => gmail.users.labels.list({ userId: 'me' }));
     const existingLabels = data.labels || [];
+    const categories = await listCategories();
 
-    for (const [key, labelName] of Object.entries(LABELS)) {
-      const existing = existingLabels.find(l => l.name === labelName);
-
-      if (existing) {
-        labelIds[key] = existing.id;
-        logger.info(`Label "${labelName}" already exists with ID: ${existing.id}`);
-      } else {
-        const { data: newLabel } = await gmail.users.labels.create({
-          userId: 'me',
-          requestBody: {
-            name: labelName,
-            labelListVisibility: 'labelShow',
-            messageListVisibility: 'show'
-          }
-        });
-        labelIds[key] = newLabel.id;
-        logger.info(`Created label "${labelName}" with ID: ${newLabel.id}`);
-      }
+    const labelIds = {};
+    for (const { name: key, label: labelName } of categories) {
+      labelIds[key] = await findOrCreateLabel(existingLabels, labelName);
     }
+
+    const extraLabelIds = {};
+    for (const labelName of await getPolicyLabelNames()) {
+      extraLabelIds[labelName] = await findOrCreateLabel(existingLabels, labelName);
+    }
+
+    current.labelIds = labelIds;
+    current.extraLabelIds = extraLabelIds;
   } catch (error) {
     logger.error('Error ensuring labels:', error);
     throw error;
@@ -111,12 +244,17 @@ async function ensureLabels() {
 }
 
 export function getLabelIds() {
-  return labelIds;
+  return state().labelIds;
+}
+
+// Non-category labels (needs-human, classification error) by label name
+export function getExtraLabelIds() {
+  return state().extraLabelIds;
 }
 
 export async function getProfile() {
-  if (!gmail) throw new Error('Gmail not initialized');
-  const { data } = await gmail.users.getProfile({ userId: 'me' });
+  const gmail = requireGmail();
+  const { data } = await gmailRequest('getProfile', () => gmail.users.getProfile({ userId: 'me' }));
   return data;
 }
 
@@ -126,14 +264,14 @@ export async function getHistoryId() {
 }
 
 export async function listHistory(startHistoryId) {
-  if (!gmail) throw new Error('Gmail not initialized');
+  const gmail = requireGmail();
 
   try {
-    const { data } = await gmail.users.history.list({
+    const { data } = await gmailRequest('history.list', () => gmail.users.history.list({
       userId: 'me',
       startHistoryId,
-      historyTypes: ['messageAdded']
-    });
+      historyTypes: ['messageAdded', 'labelAdded', 'labelRemoved']
+    }));
     return data;
   } catch (error) {
     if (error.code === 404) {
@@ -145,43 +283,66 @@ export async function listHistory(startHistoryId) {
 }
 
 export async function getMessage(messageId) {
-  if (!gmail) throw new Error('Gmail not initialized');
+  const gmail = requireGmail();
 
-  const { data } = await gmail.users.messages.get({
+  const { data } = await gmailRequest('messages.get', () => gmail.users.messages.get({
     userId: 'me',
     id: messageId,
     format: 'full'
-  });
+  }));
 
   return parseMessage(data);
 }
 
+// The messages of a thread, oldest first, with their labels and the headers
+// needed to summarize the conversation
+export async function getThread(threadId) {
+  const gmail = requireGmail();
+
+  const { data } = await gmailRequest('threads.get', () => gmail.users.threads.get({
+    userId: 'me',
+    id: threadId,
+    format: 'metadata',
+    metadataHeaders: ['From', 'Subject', 'Date']
+  }));
+
+  return (data.messages || []).map(message => {
+    const headers = message.payload?.headers || [];
+    const getHeader = (name) => headers.find(h => h.name.toLowerCase() === name.toLowerCase())?.value || '';
+    return {
+      id: message.id,
+      labelIds: message.labelIds || [],
+      from: getHeader('From'),
+      subject: getHeader('Subject'),
+      date: getHeader('Date')
+    };
+  });
+}
+
+// Just the named headers of a message, without fetching its body
+export async function getMessageHeaders(messageId, names) {
+  const gmail = requireGmail();
+
+  const { data } = await gmailRequest('messages.get', () => gmail.users.messages.get({
+    userId: 'me',
+    id: messageId,
+    format: 'metadata',
+    metadataHeaders: names
+  }));
+
+  const headers = data.payload?.headers || [];
+  return Object.fromEntries(names.map(name => [
+    name.toLowerCase(),
+    headers.find(h => h.name.toLowerCase() === name.toLowerCase())?.value || ''
+  ]));
+}
+
 function parseMessage(message) {
   const headers = message.payload.headers;
   const getHeader = (name) => headers.find(h => h.name.toLowerCase() === name.toLowerCase())?.value || '';
 
-  let body = '';
-
-  // Extract body from parts
-  function extractBody(parts) {
-    if (!parts) return '';
-    for (const part of parts) {
-      if (part.mimeType === 'text/plain' && part.body.data) {
-        return Buffer.from(part.body.data, 'base64').toString('utf8');
-      }
-      if (part.parts) {
-        const result = extractBody(part.parts);
-        if (result) return result;
-      }
-    }
-    return '';
-  }
-
-  if (message.payload.body?.data) {
-    body = Buffer.from(message.payload.body.data, 'base64').toString('utf8');
-  } else if (message.payload.parts) {
-    body = extractBody(message.payload.parts);
-  }
+  // Plain text body (or the HTML one as text), attachments and link domains
+  const { text, attachments, links } = parsePayload(message.payload);
 
   return {
     id: message.id,
@@ -189,78 +350,161 @@ function parseMessage(message) {
     labelIds: message.labelIds || [],
     from: getHeader('From'),
     to: getHeader('To'),
+    cc: getHeader('Cc'),
     subject: getHeader('Subject'),
     date: getHeader('Date'),
+    headers: headers.map(h => ({ name: h.name, value: h.value })),
     snippet: message.snippet,
-    body: body
+    body: text,
+    attachments,
+    links
   };
 }
 
 export async function modifyLabels(messageId, addLabelIds, removeLabelIds) {
-  if (!gmail) throw new Error('Gmail not initialized');
+  const gmail = requireGmail();
 
-  await gmail.users.messages.modify({
+  await gmailRequest('messages.modify', () => gmail.users.messages.modify({
     userId: 'me',
     id: messageId,
     requestBody: {
       addLabelIds: addLabelIds || [],
       removeLabelIds: removeLabelIds || []
     }
-  });
+  }));
 
   logger.info(`Modified labels for message ${messageId}: +${addLabelIds} -${removeLabelIds}`);
 }
 
+// Apply the same label change to several messages. batchModify costs as much
+// quota as ten single modifies, so smaller groups are modified one by one.
+export async function batchModifyLabels(messageIds, addLabelIds, removeLabelIds) {
+  if (messageIds.length * quotaUnits('messages.modify') < quotaUnits('messages.batchModify')) {
+    for (const messageId of messageIds) {
+      await modifyLabels(messageId, addLabelIds, removeLabelIds);
+    }
+    return;
+  }
+
+  const gmail = requireGmail();
+  for (let i = 0; i < messageIds.length; i += BATCH_MODIFY_LIMIT) {
+    const ids = messageIds.slice(i, i + BATCH_MODIFY_LIMIT);
+    await gmailRequest('messages.batchModify', () => gmail.users.messages.batchModify({
+      userId: 'me',
+      requestBody: {
+        ids,
+        addLabelIds: addLabelIds || [],
+        removeLabelIds: removeLabelIds || []
+      }
+    }));
+  }
+
+  logger.info(`Modified labels for ${messageIds.length} messages: +${addLabelIds} -${removeLabelIds}`);
+}
+
 export async function trashMessage(messageId) {
-  if (!gmail) throw new Error('Gmail not initialized');
+  const gmail = requireGmail();
 
-  await gmail.users.messages.trash({
+  await gmailRequest('messages.trash', () => gmail.users.messages.trash({
     userId: 'me',
     id: messageId
-  });
+  }));
 
   logger.info(`Trashed message ${messageId}`);
 }
 
-export async function applyClassification(messageId, classification) {
-  // For JUNK, delete the email entirely
-  if (classification === 'JUNK') {
-    await trashMessage(messageId);
-    return { action: 'trashed' };
-  }
+export async function untrashMessage(messageId) {
+  const gmail = requireGmail();
+
+  await gmailRequest('messages.untrash', () => gmail.users.messages.untrash({
+    userId: 'me',
+    id: messageId
+  }));
+
+  logger.info(`Restored message ${messageId} from trash`);
+}
 
+// Work out what applying a category would do without touching the mailbox.
+// With `quarantine`, trash categories are labeled and archived instead;
+// `extraLabels` are label names added alongside the category label.
+// `existingLabels` are the label ids a message being reclassified has now;
+// any other category label among them is removed.
+export async function planClassification(classification, { quarantine = false, extraLabels = [], existingLabels = [] } = {}) {
+  const { labelIds, extraLabelIds } = state();
+  const category = await getCategory(classification);
   const labelId = labelIds[classification];
-  if (!labelId) {
+  if (!category || !labelId) {
     throw new Error(`Unknown classification: ${classification}`);
   }
 
-  const addLabels = [labelId];
-  const removeLabels = [];
+  const extraLabelIdList = extraLabels
+    .map(name => extraLabelIds[name])
+    .filter(Boolean);
+
+  const otherLabelIds = Object.values(labelIds)
+    .filter(id => id !== labelId && existingLabels.includes(id));
+
+  // Trash deletes the email entirely, unless it is held in quarantine first
+  if (category.action === 'trash') {
+    return quarantine
+      ? { action: 'quarantined', addLabels: [labelId, ...extraLabelIdList], removeLabels: ['INBOX', ...otherLabelIds] }
+      : { action: 'trashed', addLabels: [], removeLabels: [] };
+  }
+
+  const addLabels = [labelId, ...extraLabelIdList];
+  const removeLabels = [...otherLabelIds];
+
+  // A reclassified message that its previous category archived comes back
+  // unless the new category archives it too
+  if (otherLabelIds.length > 0 && !existingLabels.includes('INBOX') && category.action !== 'archive') {
+    addLabels.push('INBOX');
+  }
 
-  // For IMPORTANT, keep in inbox
-  // For REVIEW, remove from inbox
-  if (classification === 'REVIEW') {
-    removeLabels.push('INBOX');
+  switch (category.action) {
+    case 'archive':
+      removeLabels.push('INBOX');
+      break;
+    case 'star':
+      addLabels.push('STARRED');
+      break;
+    case 'mark-read':
+      removeLabels.push('UNREAD');
+      break;
+    default:
+      // keep: label only, stays in inbox
+      break;
   }
 
-  await modifyLabels(messageId, addLabels, removeLabels);
-  return { addLabels, removeLabels };
+  return { action: category.action, addLabels, removeLabels };
 }
 
-export async function getRecentMessages(maxResults = 10) {
-  if (!gmail) throw new Error('Gmail not initialized');
+export async function applyClassification(messageId, classification, options = {}) {
+  const plan = await planClassification(classification, options);
+
+  if (plan.action === 'trashed') {
+    await trashMessage(messageId);
+  } else {
+    await modifyLabels(messageId, plan.addLabels, plan.removeLabels);
+  }
+  return plan;
+}
+
+// One page of message ids matching a Gmail search query
+export async function listMessages({ q, maxResults = 100, pageToken } = {}) {
+  const gmail = requireGmail();
 
-  const { data } = await gmail.users.messages.list({
+  const { data } = await gmailRequest('messages.list', () => gmail.users.messages.list({
     userId: 'me',
     maxResults,
-    q: 'in:inbox'
-  });
-
-  if (!data.messages) return [];
+    q,
+    pageToken
+  }));
+  return data;
+}
 
-  const messages = await Promise.all(
-    data.messages.map(m => getMessage(m.id))
-  );
+export async function getRecentMessages(maxResults = 10) {
+  const { messages } = await listMessages({ q: 'in:inbox', maxResults });
+  if (!messages) return [];
 
-  return messages;
+  return mapWithConcurrency(messages, FETCH_CONCURRENCY, m => getMessage(m.id));
 }
@@ -0,0 +1,160 @@
+import { accountState } from './accountContext.js';
+import { retryWithBackoff, sleep } from './retry.js';
+import logger from '../logger.js';
+
+// Quota units Gmail charges per method; every mailbox may spend 250 a second
+// (https://developers.google.com/gmail/api/reference/quota)
+const QUOTA_UNITS = {
+  'getProfile': 1,
+  'labels.list': 1,
+  'labels.create': 5,
+  'history.list': 2,
+  'messages.list': 5,
+  'messages.get': 5,
+  'messages.modify': 5,
+  'messages.batchModify': 50,
+  'messages.trash': 5,
+  'messages.untrash': 5,
+  'threads.get': 10,
+  'threads.modify': 10,
+  'watch': 100,
+  'stop': 50
+};
+const DEFAULT_UNITS = 5;
+
+// Stay under Gmail's limit so polls, backfills and the dashboard can share it
+const UNITS_PER_SECOND = parseInt(process.env.GMAIL_QUOTA_UNITS_PER_SECOND) || 200;
+const MAX_RETRIES = parseInt(process.env.GMAIL_MAX_RETRIES) || 5;
+const RETRY_BASE_MS = parseInt(process.env.GMAIL_RETRY_BASE_MS) || 1000;
+const RETRY_MAX_MS = 32000;
+
+const NETWORK_ERROR_CODES = ['ECONNRESET', 'ETIMEDOUT', 'ECONNREFUSED', 'EAI_AGAIN', 'EPIPE'];
+const RATE_LIMIT_REASONS = ['rateLimitExceeded', 'userRateLimitExceeded'];
+
+// A token bucket per account, holding up to one second of quota
+const state = accountState(() => ({
+  available: UNITS_PER_SECOND,
+  refilledAt: Date.now(),
+  queue: Promise.resolve(),
+  pausedUntil: 0,
+  // [second, units] for the last minute
+  recent: [],
+  stats: {
+    requests: 0,
+    units: 0,
+    byMethod: {},
+    throttledMs: 0,
+    retries: 0,
+    rateLimited: 0,
+    lastRateLimitAt: null
+  }
+}));
+
+export function quotaUnits(method) {
+  return QUOTA_UNITS[method] ?? DEFAULT_UNITS;
+}
+
+function errorStatus(error) {
+  const status = error?.response?.status ?? error?.status ?? error?.code;
+  return typeof status === 'number' ? status : Number(status) || null;
+}
+
+function errorReason(error) {
+  return error?.errors?.[0]?.reason || error?.response?.data?.error?.errors?.[0]?.reason || null;
+}
+
+// 429, or the 403 Gmail sends when the per-user rate is exceeded (a 403
+// dailyLimitExceeded will not clear in time for a retry to help)
+export function isRateLimitError(error) {
+  const status = errorStatus(error);
+  return status === 429 || (status === 403 && RATE_LIMIT_REASONS.includes(errorReason(error)));
+}
+
+function isRetryableError(error) {
+  return isRateLimitError(error) || errorStatus(error) >= 500 || NETWORK_ERROR_CODES.includes(error?.code);
+}
+
+// Wait until the bucket holds `units` (and any rate-limit pause is over), then
+// take them. Reservations are served in order so large requests are not starved.
+function reserve(current, units) {
+  const cost = Math.min(units, UNITS_PER_SECOND);
+  const turn = current.queue.then(async () => {
+    for (;;) {
+      const now = Date.now();
+      current.available = Math.min(UNITS_PER_SECOND, current.available + (now - current.refilledAt) * UNITS_PER_SECOND / 1000);
+      current.refilledAt = now;
+
+      const refillMs = current.available >= cost ? 0 : Math.ceil((cost - current.available) * 1000 / UNITS_PER_SECOND);
+      const wait = Math.max(current.pausedUntil - now, refillMs);
+      if (wait <= 0) {
+        current.available -= cost;
+        return;
+      }
+      current.stats.throttledMs += wait;
+      await sleep(wait);
+    }
+  });
+  current.queue = turn.catch(() => {});
+  return turn;
+}
+
+function record(current, method, units) {
+  const { stats, recent } = current;
+  stats.requests++;
+  stats.units += units;
+  const byMethod = stats.byMethod[method] || (stats.byMethod[method] = { requests: 0, units: 0 });
+  byMethod.requests++;
+  byMethod.units += units;
+
+  const second = Math.floor(Date.now() / 1000);
+  const last = recent[recent.length - 1];
+  if (last && last[0] === second) {
+    last[1] += units;
+  } else {
+    recent.push([second, units]);
+  }
+  while (recent.length > 0 && recent[0][0] <= second - 60) recent.shift();
+}
+
+// Run one Gmail API call for the account in the current context: wait for
+// its quota units, then retry rate limits, server errors and dropped
+// connections with backoff. A rate limit pauses every request of the
+// account, not just the one that hit it.
+export async function gmailRequest(method, call) {
+  const current = state();
+  const units = quotaUnits(method);
+
+  return retryWithBackoff(async () => {
+    await reserve(current, units);
+    record(current, method, units);
+    return call();
+  }, {
+    baseMs: RETRY_BASE_MS,
+    maxMs: RETRY_MAX_MS,
+    shouldRetry: (error, attempt) => attempt < MAX_RETRIES && isRetryableError(error),
+    onRetry: (error, attempt, delay) => {
+      current.stats.retries++;
+      if (isRateLimitError(error)) {
+        current.stats.rateLimited++;
+        current.stats.lastRateLimitAt = new Date().toISOString();
+        current.pausedUntil = Math.max(current.pausedUntil, Date.now() + delay);
+      }
+      logger.warn(`Gmail ${method} failed (${errorStatus(error) || error.code}: ${error.message}); ` +
+        `retrying in ${delay}ms (${attempt + 1}/${MAX_RETRIES})`);
+    }
+  });
+}
+
+// Quota spent by the account in the current context, for /api/status
+export function getGmailQuotaStatus() {
+  const { stats, recent, pausedUntil } = state();
+  const since = Math.floor(Date.now() / 1000) - 60;
+  return {
+    unitsPerSecondLimit: UNITS_PER_SECOND,
+    unitsLastMinute: recent.filter(([second]) => second > since).reduce((sum, [, units]) => sum + units, 0),
+    maxRetries: MAX_RETRIES,
+    pausedUntil: pausedUntil > Date.now() ? new Date(pausedUntil).toISOString() : null,
+    ...stats,
+    byMethod: structuredClone(stats.byMethod)
+  };
+}
@@ -0,0 +1,176 @@
+import { parseAddress, isSameOrSubdomain } from './emailAddress.js';
+
+// Only the Authentication-Results header added by our own receiving server is
+// trusted; any others were written by whoever sent the message
+const AUTH_SERV_ID = (process.env.AUTH_SERV_ID || 'mx.google.com').toLowerCase();
+
+// Brands phishing most often imitates, with the domains they really send from.
+// Patterns are matched against the From display name.
+const BRANDS = [
+  { name: 'PayPal', pattern: /\bpay\s?pal\b/i, domains: ['paypal.com'] },
+  { name: 'Apple', pattern: /\b(apple|icloud|itunes)\b/i, domains: ['apple.com', 'icloud.com'] },
+  { name: 'Amazon', pattern: /\bamazon\b/i, domains: ['amazon.com', 'amazon.co.uk', 'amazon.de', 'amazonses.com'] },
+  { name: 'Microsoft', pattern: /\b(microsoft|outlook|office ?365)\b/i, domains: ['microsoft.com', 'outlook.com', 'live.com', 'office.com', 'office365.com'] },
+  { name: 'Google', pattern: /\b(google|gmail)\b/i, domains: ['google.com', 'gmail.com', 'googlegroups.com', 'youtube.com'] },
+  { name: 'Netflix', pattern: /\bnetflix\b/i, domains: ['netflix.com'] },
+  { name: 'Facebook', pattern: /\b(facebook|meta)\b/i, domains: ['facebook.com', 'facebookmail.com', 'meta.com'] },
+  { name: 'Instagram', pattern: /\binstagram\b/i, domains: ['instagram.com'] },
+  { name: 'LinkedIn', pattern: /\blinkedin\b/i, domains: ['linkedin.com'] },
+  { name: 'Dropbox', pattern: /\bdropbox\b/i, domains: ['dropbox.com', 'dropboxmail.com'] },
+  { name: 'DocuSign', pattern: /\bdocusign\b/i, domains: ['docusign.com', 'docusign.net'] },
+  { name: 'Chase', pattern: /\b(chase bank|jp ?morgan chase|chase online)\b/i, domains: ['chase.com', 'jpmorgan.com'] },
+  { name: 'Wells Fargo', pattern: /\bwells ?fargo\b/i, domains: ['wellsfargo.com'] },
+  { name: 'Bank of America', pattern: /\bbank of america\b/i, domains: ['bankofamerica.com', 'bofa.com'] },
+  { name: 'Coinbase', pattern: /\bcoinbase\b/i, domains: ['coinbase.com'] },
+  { name: 'DHL', pattern: /\bDHL\b/, domains: ['dhl.com'] },
+  { name: 'FedEx', pattern: /\bfed ?ex\b/i, domains: ['fedex.com'] },
+  { name: 'UPS', pattern: /\bUPS\b/, domains: ['ups.com'] },
+  { name: 'USPS', pattern: /\bUSPS\b/, domains: ['usps.com'] },
+  { name: 'IRS', pattern: /\bIRS\b/, domains: ['irs.gov'] }
+];
+
+// Second-level suffixes under which the registrable domain has three labels
+const TWO_LEVEL_SUFFIXES = ['co.uk', 'org.uk', 'ac.uk', 'com.au', 'co.nz', 'co.jp', 'co.in', 'com.br'];
+
+// Characters swapped in for ones they resemble
+const HOMOGLYPHS = [[/rn/g, 'm'], [/vv/g, 'w'], [/0/g, 'o'], [/1/g, 'l'], [/3/g, 'e'], [/5/g, 's']];
+
+function headerValues(headers, name) {
+  return (headers || [])
+    .filter(h => h.name.toLowerCase() === name)
+    .map(h => h.value || '');
+}
+
+// example.co.uk for mail.example.co.uk
+function baseDomain(domain) {
+  const labels = domain.toLowerCase().split('.');
+  const size = TWO_LEVEL_SUFFIXES.includes(labels.slice(-2).join('.')) ? 3 : 2;
+  return labels.slice(-size).join('.');
+}
+
+function levenshtein(a, b) {
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const row = [i];
+    for (let j = 1; j <= b.length; j++) {
+      row[j] = Math.min(row[j - 1] + 1, previous[j] + 1, previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+    }
+    previous = row;
+  }
+  return previous[b.length];
+}
+
+// { spf, dkim, dmarc } from our server's Authentication-Results, null when absent
+function parseAuthResults(headers) {
+  const value = headerValues(headers, 'authentication-results')
+    .find(v => v.trim().toLowerCase().startsWith(AUTH_SERV_ID));
+  if (!value) return null;
+
+  const results = { spf: null, dkim: null, dmarc: null };
+  const withoutComments = value.replace(/\([^)]*\)/g, '');
+  for (const [, method, outcome] of withoutComments.matchAll(/\b(spf|dkim|dmarc)=([a-z]+)/gi)) {
+    const key = method.toLowerCase();
+    // A message may carry several DKIM signatures; one passing is enough
+    if (!results[key] || outcome.toLowerCase() === 'pass') results[key] = outcome.toLowerCase();
+  }
+  return results;
+}
+
+function isBrandDomain(domain, brand) {
+  return brand.domains.some(d => isSameOrSubdomain(domain, d));
+}
+
+// The display name says it is a brand the sending domain does not belong to
+function findBrandSpoof(name, domain) {
+  if (!name || !domain) return null;
+  const brand = BRANDS.find(b => b.pattern.test(name));
+  if (!brand || isBrandDomain(domain, brand)) return null;
+  return { brand: brand.name, domain };
+}
+
+// A domain made to look like a brand's main one: digits for letters, the
+// brand name with a hyphenated extra ("paypal-secure.com") or, for longer
+// names, a single typo. Short names are left alone; too many real domains
+// are one letter away from them.
+function findLookalike(domain) {
+  if (!domain) return null;
+  const base = baseDomain(domain);
+  const label = base.split('.')[0];
+  const normalized = HOMOGLYPHS.reduce((text, [from, to]) => text.replace(from, to), label);
+
+  for (const brand of BRANDS) {
+    const real = brand.domains[0];
+    const realLabel = baseDomain(real).split('.')[0];
+    if (realLabel.length < 5 || label === realLabel || isBrandDomain(domain, brand)) continue;
+
+    if (normalized === realLabel ||
+        normalized.split('-').includes(realLabel) ||
+        (realLabel.length >= 6 && levenshtein(label, realLabel) === 1)) {
+      return { domain: base, resembles: real };
+    }
+  }
+  return null;
+}
+
+// Structured header signals for the classifier and the audit log:
+// authentication results, Reply-To mismatches, brand spoofing, lookalike
+// domains and mailing list headers, plus readable `warnings` for the tells
+// phishing usually has
+export function analyzeHeaders(email) {
+  const headers = email.headers || [];
+  const from = parseAddress(email.from);
+  const warnings = [];
+
+  const auth = parseAuthResults(headers);
+  if (auth) {
+    for (const method of ['spf', 'dkim', 'dmarc']) {
+      if (['fail', 'softfail', 'permerror'].includes(auth[method])) {
+        warnings.push(`${method.toUpperCase()} ${auth[method]}`);
+      }
+    }
+  }
+
+  const replyToValue = headerValues(headers, 'reply-to')[0];
+  let replyTo = null;
+  if (replyToValue) {
+    const parsed = parseAddress(replyToValue);
+    const mismatch = !!(parsed.domain && from.domain && baseDomain(parsed.domain) !== baseDomain(from.domain));
+    replyTo = { address: parsed.address, mismatch };
+    if (mismatch) warnings.push(`Reply-To goes to another domain (${parsed.domain})`);
+  }
+
+  const brandSpoof = findBrandSpoof(from.name, from.domain);
+  if (brandSpoof) {
+    warnings.push(`Display name claims ${brandSpoof.brand} but the sender is ${brandSpoof.domain}`);
+  }
+
+  const lookalike = findLookalike(from.domain);
+  if (lookalike) {
+    warnings.push(`Domain ${lookalike.domain} resembles ${lookalike.resembles}`);
+  }
+
+  if (from.domain.split('.').some(label => label.startsWith('xn--'))) {
+    warnings.push(`Internationalized domain ${from.domain} may imitate another`);
+  }
+
+  const listId = headerValues(headers, 'list-id')[0] || null;
+  const unsubscribe = headerValues(headers, 'list-unsubscribe')[0] || null;
+  const list = listId || unsubscribe
+    ? {
+        id: listId,
+        unsubscribe: !!unsubscribe,
+        oneClick: headerValues(headers, 'list-unsubscribe-post').some(v => /one-click/i.test(v))
+      }
+    : null;
+
+  return { auth, replyTo, brandSpoof, lookalike, list, warnings };
+}
+
+// True when our server could not verify the From domain: DMARC failed, or
+// neither SPF nor DKIM passed. Without an Authentication-Results header
+// there is nothing to go on, so it is not held against the sender.
+export function senderAuthFailed(analysis) {
+  const auth = analysis?.auth;
+  if (!auth) return false;
+  return auth.dmarc === 'fail' || (auth.spf !== 'pass' && auth.dkim !== 'pass');
+}
@@ -0,0 +1,333 @@
+import crypto from 'crypto';
+import { readJson, writeJson } from './jsonStore.js';
+import { listMessages, isReauthError } from './gmail.js';
+import { processMessageBatch, pauseForReauth } from './emailWatcher.js';
+import { isClassifierAvailable } from './classifier.js';
+import { accountState, accountFile } from './accountContext.js';
+import logger from '../logger.js';
+
+const JOBS_FILE = 'jobs.json';
+
+// Jobs kept for reference, newest last
+const MAX_JOBS = 50;
+
+// Messages listed per messages.list call and classified per chunk
+const LIST_PAGE_SIZE = 500;
+const CHUNK_SIZE = parseInt(process.env.BACKFILL_CHUNK_SIZE) || 10;
+
+// Backfills are paced to this many messages a minute to stay well inside the
+// Gmail and model rate limits
+const RATE_PER_MINUTE = parseInt(process.env.BACKFILL_RATE_PER_MINUTE) || 60;
+const MAX_MESSAGES = parseInt(process.env.BACKFILL_MAX_MESSAGES) || 5000;
+
+// Dry-run decisions kept on the job for review
+const MAX_RESULTS = 500;
+
+// How long to wait when a poll holds the account's lock, or while
+// classification is paused because the provider keeps failing
+const LOCK_RETRY_MS = 5000;
+
+// Statuses a job can be resumed from
+const RESUMABLE = ['cancelled', 'interrupted', 'failed'];
+
+// Jobs run inside this process. A job that was running when the process
+// stopped is marked interrupted on load and can be resumed; on serverless
+// hosts a function may be frozen once it has responded, so run large
+// backfills from a long-running server.
+const state = accountState(() => ({ jobs: null, running: new Set() }));
+
+async function loadJobs() {
+  const current = state();
+  if (current.jobs) return current;
+
+  try {
+    const data = await readJson(accountFile(JOBS_FILE), { jobs: [] });
+    current.jobs = data.jobs || [];
+  } catch (error) {
+    logger.error('Error loading jobs:', error);
+    current.jobs = [];
+  }
+
+  for (const job of current.jobs) {
+    if (job.status === 'running') job.status = 'interrupted';
+  }
+  return current;
+}
+
+async function saveJobs(current) {
+  const keepFrom = current.jobs.length - MAX_JOBS;
+  current.jobs = current.jobs.filter((j, i) => i >= keepFrom || j.status === 'running');
+
+  await writeJson(accountFile(JOBS_FILE), {
+    jobs: current.jobs,
+    savedAt: new Date().toISOString()
+  });
+}
+
+function parseDate(value) {
+  const time = new Date(value).getTime();
+  return Number.isNaN(time) ? null : time;
+}
+
+export function validateBackfill(input) {
+  const errors = [];
+
+  if (!input || typeof input !== 'object') {
+    return ['Job must be an object'];
+  }
+  if (input.query !== undefined && (typeof input.query !== 'string' || !input.query.trim())) {
+    errors.push('query must be a non-empty Gmail search string');
+  }
+  for (const field of ['after', 'before']) {
+    if (input[field] !== undefined && parseDate(input[field]) === null) {
+      errors.push(`${field} must be a date (e.g. 2026-01-31)`);
+    }
+  }
+  if (input.after !== undefined && input.before !== undefined &&
+      parseDate(input.after) >= parseDate(input.before)) {
+    errors.push('after must be earlier than before');
+  }
+  if (input.maxMessages !== undefined &&
+      (!Number.isInteger(input.maxMessages) || input.maxMessages < 1 || input.maxMessages > MAX_MESSAGES)) {
+    errors.push(`maxMessages must be an integer between 1 and ${MAX_MESSAGES}`);
+  }
+  for (const flag of ['dryRun', 'reclassify']) {
+    if (input[flag] !== undefined && typeof input[flag] !== 'boolean') {
+      errors.push(`${flag} must be a boolean`);
+    }
+  }
+
+  return errors;
+}
+
+// Gmail search with the date range appended; after:/before: take epoch seconds
+function buildQuery({ query, after, before }) {
+  const parts = [query];
+  if (after) parts.push(`after:${Math.floor(parseDate(after) / 1000)}`);
+  if (before) parts.push(`before:${Math.floor(parseDate(before) / 1000)}`);
+  return parts.join(' ');
+}
+
+// Job as returned by the API; the message id queue is internal
+function describeJob(job, { withResults = false } = {}) {
+  const { pending, pageToken, results, ...rest } = job;
+  return {
+    ...rest,
+    progress: { ...job.progress, remaining: pending.length },
+    ...(withResults && { results })
+  };
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+export async function hasRunningJob() {
+  const { jobs } = await loadJobs();
+  return jobs.some(j => j.status === 'running');
+}
+
+export function isResumable(job) {
+  return RESUMABLE.includes(job.status);
+}
+
+export async function listJobs() {
+  const { jobs } = await loadJobs();
+  return jobs.map(job => describeJob(job)).reverse();
+}
+
+export async function getJob(id) {
+  const { jobs } = await loadJobs();
+  const job = jobs.find(j => j.id === id);
+  return job ? describeJob(job, { withResults: true }) : null;
+}
+
+// Queue a backfill: list the messages matching the query (newest first, up to
+// maxMessages), then run them through the filter like newly arrived mail.
+// With `reclassify`, messages the filter already labeled are decided again;
+// with `dryRun`, decisions are only recorded on the job.
+export async function createBackfillJob(input) {
+  const errors = validateBackfill(input);
+  if (errors.length > 0) {
+    throw new Error(`Invalid job: ${errors.join('; ')}`);
+  }
+
+  const current = await loadJobs();
+  if (current.jobs.some(j => j.status === 'running')) {
+    throw new Error('Another job is already running for this account');
+  }
+
+  const params = {
+    query: input.query?.trim() || 'in:inbox',
+    after: input.after || null,
+    before: input.before || null,
+    maxMessages: input.maxMessages || 500,
+    dryRun: input.dryRun === true,
+    reclassify: input.reclassify === true
+  };
+
+  const job = {
+    id: crypto.randomUUID(),
+    type: 'backfill',
+    status: 'running',
+    phase: 'listing',
+    params,
+    searchQuery: buildQuery(params),
+    progress: { listed: 0, processed: 0, skipped: 0, errors: 0, byCategory: {} },
+    pending: [],
+    pageToken: null,
+    results: [],
+    error: null,
+    createdAt: new Date().toISOString(),
+    updatedAt: new Date().toISOString(),
+    finishedAt: null
+  };
+
+  current.jobs.push(job);
+  await saveJobs(current);
+  startJob(current, job);
+
+  logger.info(`Started backfill job ${job.id}: "${job.searchQuery}"${params.dryRun ? ' (dry run)' : ''}`);
+  return describeJob(job);
+}
+
+// Stops a running job after the chunk in progress; it can be resumed later
+export async function cancelJob(id) {
+  const current = await loadJobs();
+  const job = current.jobs.find(j => j.id === id);
+  if (!job) return null;
+
+  if (job.status !== 'running' && job.status !== 'interrupted') {
+    throw new Error(`Job is ${job.status}`);
+  }
+
+  job.status = 'cancelled';
+  job.updatedAt = new Date().toISOString();
+  await saveJobs(current);
+  logger.info(`Cancelled job ${id}`);
+  return describeJob(job);
+}
+
+// Continue a cancelled, interrupted or failed job where it stopped
+export async function resumeJob(id) {
+  const current = await loadJobs();
+  const job = current.jobs.find(j => j.id === id);
+  if (!job) return null;
+
+  if (!RESUMABLE.includes(job.status)) {
+    throw new Error(`Job is ${job.status}, only ${RESUMABLE.join(', ')} jobs can be resumed`);
+  }
+  if (current.jobs.some(j => j.status === 'running')) {
+    throw new Error('Another job is already running for this account');
+  }
+
+  job.status = 'running';
+  job.error = null;
+  job.finishedAt = null;
+  job.updatedAt = new Date().toISOString();
+  await saveJobs(current);
+  startJob(current, job);
+
+  logger.info(`Resumed job ${id}`);
+  return describeJob(job);
+}
+
+// Runs in the background on behalf of the account that started it
+function startJob(current, job) {
+  if (current.running.has(job.id)) return;
+  current.running.add(job.id);
+
+  runBackfill(current, job)
+    .catch(async (error) => {
+      logger.error(`Job ${job.id} failed:`, error);
+      if (isReauthError(error)) pauseForReauth(error);
+      job.status = 'failed';
+      job.error = error.message;
+      job.finishedAt = new Date().toISOString();
+      await saveJobs(current).catch(() => {});
+    })
+    .finally(() => {
+      current.running.delete(job.id);
+    });
+}
+
+async function runBackfill(current, job) {
+  const isRunning = () => job.status === 'running';
+
+  // Ids are listed up front: archiving mail while paging through the same
+  // search would shift the pages under us
+  while (isRunning() && job.phase === 'listing') {
+    const { messages = [], nextPageToken } = await listMessages({
+      q: job.searchQuery,
+      maxResults: Math.min(LIST_PAGE_SIZE, job.params.maxMessages - job.progress.listed),
+      pageToken: job.pageToken || undefined
+    });
+
+    job.pending.push(...messages.map(m => m.id));
+    job.progress.listed += messages.length;
+    job.pageToken = nextPageToken || null;
+    if (!nextPageToken || job.progress.listed >= job.params.maxMessages) {
+      job.phase = 'processing';
+    }
+    job.updatedAt = new Date().toISOString();
+    await saveJobs(current);
+  }
+
+  const options = { dryRun: job.params.dryRun, reclassify: job.params.reclassify };
+  const minChunkMs = CHUNK_SIZE * 60000 / RATE_PER_MINUTE;
+
+  while (isRunning() && job.pending.length > 0) {
+    const startedAt = Date.now();
+    const chunk = job.pending.slice(0, CHUNK_SIZE);
+
+    // Rather than defer every message of the job, wait for the provider
+    if (!isClassifierAvailable()) {
+      await sleep(LOCK_RETRY_MS);
+      continue;
+    }
+
+    const batch = await processMessageBatch(chunk, options);
+    if (!batch) {
+      // A poll is running for this account; let it finish
+      await sleep(LOCK_RETRY_MS);
+      continue;
+    }
+
+    const { progress } = job;
+    progress.processed += batch.outcomes.length;
+    progress.errors += batch.errors;
+    progress.skipped += Math.max(0, chunk.length - batch.outcomes.length - batch.errors);
+    for (const outcome of batch.outcomes) {
+      progress.byCategory[outcome.classification] = (progress.byCategory[outcome.classification] || 0) + 1;
+    }
+
+    if (job.params.dryRun) {
+      job.results.push(...batch.outcomes.map(o => ({
+        messageId: o.messageId,
+        from: o.from,
+        subject: o.subject,
+        classification: o.classification,
+        confidence: o.confidence,
+        decidedBy: o.decidedBy.type,
+        plannedAction: o.plannedAction.action
+      })));
+      job.results = job.results.slice(-MAX_RESULTS);
+    }
+
+    job.pending = job.pending.slice(chunk.length);
+    job.updatedAt = new Date().toISOString();
+    await saveJobs(current);
+
+    const elapsed = Date.now() - startedAt;
+    if (job.pending.length > 0 && elapsed < minChunkMs) {
+      await sleep(minChunkMs - elapsed);
+    }
+  }
+
+  if (isRunning()) {
+    job.status = 'completed';
+    job.finishedAt = new Date().toISOString();
+    await saveJobs(current);
+    logger.info(`Backfill job ${job.id} completed: ${job.progress.processed} processed, ${job.progress.skipped} skipped`);
+  }
+}
@@ -0,0 +1,63 @@
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+export const DATA_DIR = process.env.VERCEL ? '/tmp' : path.join(__dirname, '../../data');
+
+export async function readJson(fileName, fallback = null) {
+  try {
+    const data = await fs.readFile(path.join(DATA_DIR, fileName), 'utf8');
+    return JSON.parse(data);
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return fallback;
+    }
+    throw error;
+  }
+}
+
+export async function writeJson(fileName, value) {
+  const filePath = path.join(DATA_DIR, fileName);
+  await fs.mkdir(path.dirname(filePath), { recursive: true });
+
+  // Write to a temp file first so a crash never leaves a half-written file
+  // behind; each write gets its own, as overlapping writes to one file happen
+  const tmpPath = `${filePath}.${crypto.randomUUID()}.tmp`;
+  try {
+    await fs.writeFile(tmpPath, JSON.stringify(value, null, 2));
+    await fs.rename(tmpPath, filePath);
+  } catch (error) {
+    await fs.rm(tmpPath, { force: true });
+    throw error;
+  }
+}
+
+// Append-only JSON Lines files, for logs that should never be rewritten
+export async function appendJsonLine(fileName, value) {
+  const filePath = path.join(DATA_DIR, fileName);
+  await fs.mkdir(path.dirname(filePath), { recursive: true });
+  await fs.appendFile(filePath, `${JSON.stringify(value)}\n`);
+}
+
+export async function readJsonLines(fileName) {
+  let data;
+  try {
+    data = await fs.readFile(path.join(DATA_DIR, fileName), 'utf8');
+  } catch (error) {
+    if (error.code === 'ENOENT') return [];
+    throw error;
+  }
+
+  const entries = [];
+  for (const line of data.split('\n')) {
+    if (!line.trim()) continue;
+    try {
+      entries.push(JSON.parse(line));
+    } catch {
+      // A torn final line from a crash mid-append; skip it
+    }
+  }
+  return entries;
+}
@@ -0,0 +1,173 @@
+// MIME parsing for Gmail API message payloads: picks the readable body
+// (converting HTML when there is no plain text part), decodes each part in its
+// declared charset, and reports attachments and the domains links point to.
+
+// Characters of body text sent to the classifier (see buildBodyPreview)
+const BODY_PREVIEW_CHARS = parseInt(process.env.CLASSIFY_BODY_CHARS) || 1500;
+
+// Distinct link domains reported per message
+const MAX_LINK_DOMAINS = 20;
+
+const NAMED_ENTITIES = {
+  amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ', copy: '©', reg: '®',
+  trade: '™', hellip: '…', mdash: '—', ndash: '–', lsquo: '‘', rsquo: '’', ldquo: '“',
+  rdquo: '”', bull: '•', middot: '·', euro: '€', pound: '£', zwnj: '', zwj: ''
+};
+
+function headerValue(headers, name) {
+  return (headers || []).find(h => h.name.toLowerCase() === name)?.value || '';
+}
+
+// A parameter of a structured header, e.g. charset from Content-Type
+function headerParam(value, param) {
+  const match = value.match(new RegExp(`(?:^|;)\\s*${param}\\s*=\\s*(?:"([^"]*)"|([^;\\s]*))`, 'i'));
+  return match ? (match[1] ?? match[2]).trim() : '';
+}
+
+// Gmail encodes part data as base64url; standard base64 is accepted too
+export function decodeBase64Url(data) {
+  return Buffer.from(data.replace(/-/g, '+').replace(/_/g, '/'), 'base64');
+}
+
+// Decode bytes in the declared charset, falling back to UTF-8 for charsets
+// the runtime does not know
+export function decodeText(bytes, charset) {
+  try {
+    return new TextDecoder(charset || 'utf-8').decode(bytes);
+  } catch {
+    return new TextDecoder('utf-8').decode(bytes);
+  }
+}
+
+function decodeEntities(text) {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (entity, code) => {
+    if (code[0] === '#') {
+      const point = code[1].toLowerCase() === 'x' ? parseInt(code.slice(2), 16) : parseInt(code.slice(1), 10);
+      return point > 0 && point <= 0x10ffff ? String.fromCodePoint(point) : '';
+    }
+    return NAMED_ENTITIES[code.toLowerCase()] ?? entity;
+  });
+}
+
+// Readable text from an HTML body: scripts, styles and hidden preheaders are
+// dropped, block elements become line breaks and entities are decoded
+export function htmlToText(html) {
+  return decodeEntities(html
+    .replace(/<!--[\s\S]*?-->/g, '')
+    .replace(/<(script|style|head|title)\b[\s\S]*?<\/\1\s*>/gi, '')
+    .replace(/<([a-z]+)\b[^>]*display\s*:\s*none[^>]*>[\s\S]*?<\/\1\s*>/gi, '')
+    .replace(/<li\b[^>]*>/gi, '\n- ')
+    .replace(/<(br|hr)\b[^>]*>/gi, '\n')
+    .replace(/<\/(p|div|tr|table|h[1-6]|ul|ol|blockquote|section|article)\s*>/gi, '\n')
+    .replace(/<\/t[dh]\s*>/gi, ' ')
+    .replace(/<[^>]+>/g, ''))
+    .replace(/[ \t\f\v\u00a0]+/g, ' ')
+    .replace(/ *\n */g, '\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+}
+
+// Distinct hostnames of http(s) links, from href attributes and bare URLs
+export function extractLinkDomains(...sources) {
+  const counts = new Map();
+
+  for (const source of sources) {
+    if (!source) continue;
+    for (const [url] of source.matchAll(/https?:\/\/[^\s"'<>()]+/gi)) {
+      try {
+        const host = new URL(decodeEntities(url)).hostname.toLowerCase();
+        counts.set(host, (counts.get(host) || 0) + 1);
+      } catch {
+        // Not a valid URL
+      }
+    }
+  }
+
+  return [...counts.entries()]
+    .sort((a, b) => b[1] - a[1])
+    .slice(0, MAX_LINK_DOMAINS)
+    .map(([domain, count]) => ({ domain, count }));
+}
+
+function decodePart(part) {
+  const bytes = decodeBase64Url(part.body.data);
+  const charset = headerParam(headerValue(part.headers, 'content-type'), 'charset');
+  return decodeText(bytes, charset);
+}
+
+function isAttachment(part) {
+  const disposition = headerValue(part.headers, 'content-disposition');
+  return !!part.filename || !!part.body?.attachmentId || /^attachment/i.test(disposition);
+}
+
+// Walk a Gmail payload: { text, html, attachments, links }. `text` is the
+// plain text body, or the HTML body converted when there is none.
+export function parsePayload(payload) {
+  const plain = [];
+  const html = [];
+  const attachments = [];
+
+  function walk(part) {
+    if (!part) return;
+    const mimeType = (part.mimeType || '').toLowerCase();
+
+    if (part.parts?.length) {
+      part.parts.forEach(walk);
+      return;
+    }
+
+    if (isAttachment(part)) {
+      const disposition = headerValue(part.headers, 'content-disposition');
+      attachments.push({
+        filename: part.filename || '',
+        mimeType,
+        size: part.body?.size || 0,
+        inline: /^inline/i.test(disposition)
+      });
+      return;
+    }
+
+    if (!part.body?.data) return;
+    if (mimeType === 'text/html') {
+      html.push(decodePart(part));
+    } else if (mimeType === 'text/plain' || !mimeType) {
+      plain.push(decodePart(part));
+    }
+  }
+
+  walk(payload);
+
+  const htmlBody = html.join('\n');
+  const text = plain.length > 0 ? plain.join('\n\n') : htmlToText(htmlBody);
+  return {
+    text,
+    html: htmlBody,
+    attachments,
+    links: extractLinkDomains(htmlBody, plain.join('\n'))
+  };
+}
+
+// Body text for the prompt: quoted replies and signatures cut, URLs reduced to
+// their domain, whitespace collapsed, and cut at a word boundary to the limit
+export function buildBodyPreview(text, maxChars = BODY_PREVIEW_CHARS) {
+  if (!text) return '';
+
+  const lines = [];
+  for (const line of text.split(/\r?\n/)) {
+    if (/^-- ?$/.test(line)) break;
+    if (/^On .+ wrote:$/.test(line.trim())) break;
+    if (line.startsWith('>')) continue;
+    lines.push(line);
+  }
+
+  const cleaned = lines.join('\n')
+    .replace(/https?:\/\/([^\s/"'<>()]+)[^\s"'<>()]*/gi, '[link: $1]')
+    .replace(/[ \t]+/g, ' ')
+    .replace(/\n\s*\n+/g, '\n\n')
+    .trim();
+
+  if (cleaned.length <= maxChars) return cleaned;
+  const cut = cleaned.slice(0, maxChars);
+  const boundary = cut.lastIndexOf(' ');
+  return `${cut.slice(0, boundary > maxChars * 0.8 ? boundary : maxChars)}…`;
+}
@@ -0,0 +1,83 @@
+import { listCategories, getCategory, getFallbackCategory } from './categories.js';
+
+// Applied when the classifier failed outright, so errors can be told apart
+// from genuine low-confidence answers in Gmail
+const ERROR_LABEL = process.env.CLASSIFICATION_ERROR_LABEL || 'AI-Error';
+
+export async function getPolicyLabelNames() {
+  const categories = await listCategories();
+  const names = new Set(categories.map(c => c.policy.needsHumanLabel).filter(Boolean));
+  names.add(ERROR_LABEL);
+  return [...names];
+}
+
+export async function getPolicies() {
+  const categories = await listCategories();
+  return {
+    errorLabel: ERROR_LABEL,
+    categories: categories.map(c => ({ category: c.name, ...c.policy }))
+  };
+}
+
+// Route a classification through its category's confidence policy. Returns the
+// result with the final classification and a `routing` note when it changed.
+// `knownContact` (see contacts.js) keeps the model from junking the sender.
+export async function applyConfidencePolicy(result, { knownContact = null } = {}) {
+  if (result.error) {
+    return {
+      ...result,
+      routing: { reason: 'classification-error', labels: [ERROR_LABEL] }
+    };
+  }
+
+  return protectKnownContact(await routeByConfidence(result), knownContact);
+}
+
+async function routeByConfidence(result) {
+  const category = await getCategory(result.classification);
+
+  // A learned override can outlive the category it points at
+  if (!category) {
+    return {
+      ...result,
+      classification: await getFallbackCategory(),
+      originalClassification: result.classification,
+      routing: { reason: 'unknown-category', labels: [] }
+    };
+  }
+
+  const { minConfidence, fallback, needsHumanLabel } = category.policy;
+
+  if (result.confidence >= minConfidence) {
+    return { ...result, routing: null };
+  }
+
+  const target = fallback || await getFallbackCategory();
+  return {
+    ...result,
+    classification: target,
+    originalClassification: result.classification,
+    routing: {
+      reason: 'below-threshold',
+      minConfidence,
+      labels: needsHumanLabel ? [needsHumanLabel] : []
+    }
+  };
+}
+
+// Mail from a known contact never goes to a trash category on the model's
+// word alone; rules, sender lists and learned overrides are the user's own
+// decisions and still apply
+async function protectKnownContact(result, knownContact) {
+  if (!knownContact || result.decidedBy?.type !== 'model') return result;
+
+  const category = await getCategory(result.classification);
+  if (category.action !== 'trash') return result;
+
+  return {
+    ...result,
+    classification: await getFallbackCategory(),
+    originalClassification: result.originalClassification || result.classification,
+    routing: { reason: 'known-contact', sources: knownContact.sources, labels: [] }
+  };
+}
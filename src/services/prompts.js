@@ -0,0 +1,167 @@
+import { readJson, writeJson } from './jsonStore.js';
+import logger from '../logger.js';
+
+const PROMPTS_FILE = 'prompts.json';
+
+// Placeholders a template may use. The category ones are filled from the
+// category registry, the rest from the version's variables.
+export const PLACEHOLDERS = [
+  'categoryCount', 'categories', 'guidelines', 'userContext', 'userName', 'trustedDomains', 'languages'
+];
+
+// Version 1 ships with the code and cannot be changed; edits are new versions
+export const DEFAULT_TEMPLATE = `You are an email classification assistant. Analyze the email and classify it into one of {{categoryCount}} categories.
+
+CATEGORIES:
+{{categories}}
+{{userContext}}
+GUIDELINES:
+{{guidelines}}`;
+
+const BUILT_IN = {
+  version: 1,
+  template: DEFAULT_TEMPLATE,
+  variables: { userName: '', trustedDomains: [], languages: [] },
+  note: 'Built-in prompt',
+  createdAt: null
+};
+
+const MAX_TEMPLATE_LENGTH = 20000;
+
+// Prompt versions are immutable once created, so the version recorded on a
+// decision always identifies the exact instructions the model was given
+let store = null;
+
+async function loadStore() {
+  if (store) return store;
+
+  try {
+    store = (await readJson(PROMPTS_FILE, null)) || { activeVersion: 1, versions: [] };
+  } catch (error) {
+    logger.error('Error loading prompts, using the built-in prompt:', error);
+    store = { activeVersion: 1, versions: [] };
+  }
+  return store;
+}
+
+async function saveStore() {
+  await writeJson(PROMPTS_FILE, {
+    ...store,
+    savedAt: new Date().toISOString()
+  });
+}
+
+export async function listPromptVersions() {
+  const { activeVersion, versions } = await loadStore();
+  return [BUILT_IN, ...versions].map(v => ({ ...v, active: v.version === activeVersion }));
+}
+
+export async function getPromptVersion(version) {
+  const { versions } = await loadStore();
+  return [BUILT_IN, ...versions].find(v => v.version === Number(version)) || null;
+}
+
+export async function getActivePrompt() {
+  const { activeVersion } = await loadStore();
+  return (await getPromptVersion(activeVersion)) || BUILT_IN;
+}
+
+function isStringList(value) {
+  return Array.isArray(value) && value.every(item => typeof item === 'string' && item.trim());
+}
+
+export function validatePromptVersion(input) {
+  const errors = [];
+
+  if (!input || typeof input !== 'object') {
+    return ['Prompt version must be an object'];
+  }
+
+  const { template, variables, note } = input;
+  if (template !== undefined) {
+    if (typeof template !== 'string' || !template.trim()) {
+      errors.push('template must be a non-empty string');
+    } else {
+      if (template.length > MAX_TEMPLATE_LENGTH) {
+        errors.push(`template must be at most ${MAX_TEMPLATE_LENGTH} characters`);
+      }
+      if (!template.includes('{{categories}}')) {
+        errors.push('template must include {{categories}}');
+      }
+      for (const [, name] of template.matchAll(/\{\{\s*(\w+)\s*\}\}/g)) {
+        if (!PLACEHOLDERS.includes(name)) {
+          errors.push(`unknown placeholder {{${name}}} (available: ${PLACEHOLDERS.join(', ')})`);
+        }
+      }
+    }
+  }
+
+  if (variables !== undefined) {
+    if (!variables || typeof variables !== 'object' || Array.isArray(variables)) {
+      errors.push('variables must be an object');
+    } else {
+      if (variables.userName !== undefined && typeof variables.userName !== 'string') {
+        errors.push('variables.userName must be a string');
+      }
+      if (variables.trustedDomains !== undefined &&
+          !(isStringList(variables.trustedDomains) &&
+            variables.trustedDomains.every(d => /^[a-z0-9-]+(\.[a-z0-9-]+)+$/i.test(d.trim())))) {
+        errors.push('variables.trustedDomains must be a list of domains (e.g. ["example.edu"])');
+      }
+      if (variables.languages !== undefined && !isStringList(variables.languages)) {
+        errors.push('variables.languages must be a list of language names');
+      }
+    }
+  }
+
+  if (note !== undefined && typeof note !== 'string') {
+    errors.push('note must be a string');
+  }
+
+  return errors;
+}
+
+// A new version; the template and any variables not given are carried over
+// from the active version
+export async function createPromptVersion(input, { activate = false } = {}) {
+  const errors = validatePromptVersion(input);
+  if (errors.length > 0) {
+    throw new Error(`Invalid prompt version: ${errors.join('; ')}`);
+  }
+
+  const current = await loadStore();
+  const base = await getActivePrompt();
+  const variables = { ...base.variables, ...input.variables };
+
+  const version = {
+    version: Math.max(BUILT_IN.version, ...current.versions.map(v => v.version)) + 1,
+    template: input.template ?? base.template,
+    variables: {
+      userName: variables.userName.trim(),
+      trustedDomains: variables.trustedDomains.map(d => d.trim().toLowerCase()),
+      languages: variables.languages.map(l => l.trim())
+    },
+    note: input.note?.trim() || '',
+    basedOn: base.version,
+    createdAt: new Date().toISOString()
+  };
+
+  current.versions.push(version);
+  if (activate) current.activeVersion = version.version;
+  await saveStore();
+
+  logger.info(`Created prompt version ${version.version}${activate ? ' (active)' : ''}`);
+  return version;
+}
+
+export async function activatePromptVersion(version) {
+  const prompt = await getPromptVersion(version);
+  if (!prompt) return null;
+
+  const current = await loadStore();
+  current.activeVersion = prompt.version;
+  await saveStore();
+
+  logger.info(`Activated prompt version ${prompt.version}`);
+  return prompt;
+}
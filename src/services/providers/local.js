@@ -0,0 +1,204 @@
+import { readJson, writeJson } from '../jsonStore.js';
+import { parseAddress } from '../emailAddress.js';
+import { accountState, accountFile } from '../accountContext.js';
+import logger from '../../logger.js';
+
+const MODEL_FILE = 'bayes.json';
+
+// Below this many training documents the naive Bayes model is too noisy,
+// so the keyword heuristics decide instead
+const MIN_TRAINING_DOCS = parseInt(process.env.LOCAL_CLASSIFIER_MIN_DOCS) || 30;
+
+// Beyond this many distinct tokens the rarest are dropped (down to 90%, so
+// pruning does not run on every save)
+const MAX_VOCABULARY = parseInt(process.env.LOCAL_CLASSIFIER_MAX_VOCABULARY) || 20000;
+
+const KEYWORDS = {
+  IMPORTANT: [
+    'invoice', 'receipt', 'statement', 'bill', 'payment', 'password', 'verification code',
+    'security alert', 'sign-in', 'login', 'appointment', 'interview', 'meeting',
+    'order confirmation', 'has shipped', 'delivered', 'tracking number', 'reservation'
+  ],
+  REVIEW: [
+    'newsletter', 'unsubscribe', 'digest', 'webinar', 'weekly', 'notification',
+    'new follower', 'mentioned you', 'sale', '% off', 'promotion', 'deal'
+  ],
+  JUNK: [
+    'lottery', 'winner', 'you have won', 'claim your', 'prize', 'inheritance', 'wire transfer',
+    'bitcoin', 'crypto', 'act now', 'limited time', '100% free', 'risk-free', 'viagra',
+    'casino', 'make money', 'work from home', 'urgent response', 'dear friend'
+  ]
+};
+
+// Each mailbox trains its own model; `dirty` marks training not saved yet
+const state = accountState(() => ({ model: null, dirty: false }));
+
+async function loadModel() {
+  const current = state();
+  if (current.model) return current.model;
+
+  let model = null;
+  try {
+    model = await readJson(accountFile(MODEL_FILE), null);
+  } catch (error) {
+    logger.error('Error loading local classifier model:', error);
+  }
+
+  // Concurrent first loads must end up sharing one model
+  if (!current.model) {
+    current.model = model || { docCounts: {}, tokenCounts: {}, totalTokens: {}, vocabulary: {} };
+  }
+  return current.model;
+}
+
+// Drop the least used tokens once the vocabulary outgrows MAX_VOCABULARY
+function pruneVocabulary(m) {
+  const tokens = Object.keys(m.vocabulary);
+  if (tokens.length <= MAX_VOCABULARY) return;
+
+  const uses = (token) => Object.values(m.tokenCounts).reduce((sum, counts) => sum + (counts[token] || 0), 0);
+  const dropped = tokens
+    .map(token => [token, uses(token)])
+    .sort((a, b) => a[1] - b[1])
+    .slice(0, tokens.length - Math.floor(MAX_VOCABULARY * 0.9));
+
+  for (const [token] of dropped) {
+    delete m.vocabulary[token];
+    for (const [category, counts] of Object.entries(m.tokenCounts)) {
+      if (!counts[token]) continue;
+      m.totalTokens[category] -= counts[token];
+      delete counts[token];
+    }
+  }
+  logger.info(`Pruned ${dropped.length} rare tokens from the local classifier vocabulary`);
+}
+
+function tokenize(email) {
+  const { domain } = parseAddress(email.from);
+  const text = [email.subject, email.snippet, (email.body || '').substring(0, 2000)]
+    .join(' ')
+    .toLowerCase();
+
+  const tokens = text.match(/[a-z0-9$%][a-z0-9'$%-]{1,30}/g) || [];
+  if (domain) tokens.push(`domain:${domain}`);
+  return tokens;
+}
+
+function classifyWithKeywords(email, categories) {
+  const text = `${email.subject} ${email.snippet} ${(email.body || '').substring(0, 2000)}`.toLowerCase();
+  const scores = {};
+
+  for (const [category, words] of Object.entries(KEYWORDS)) {
+    if (categories.includes(category)) {
+      scores[category] = words.filter(word => text.includes(word)).length;
+    }
+  }
+
+  const [best, bestScore] = Object.entries(scores).sort((a, b) => b[1] - a[1])[0] || [null, 0];
+  if (bestScore === 0) {
+    return {
+      classification: categories.includes('REVIEW') ? 'REVIEW' : categories[0],
+      confidence: 0.3,
+      reason: 'Offline heuristics: no strong signals'
+    };
+  }
+
+  return {
+    classification: best,
+    confidence: Math.min(0.5 + bestScore * 0.1, 0.8),
+    reason: `Offline heuristics: ${bestScore} ${best.toLowerCase()} keyword(s)`
+  };
+}
+
+function classifyWithBayes(email, m, allowed) {
+  const categories = Object.keys(m.docCounts).filter(c => allowed.includes(c));
+  const totalDocs = categories.reduce((sum, c) => sum + m.docCounts[c], 0);
+  const vocabSize = Object.keys(m.vocabulary).length || 1;
+  const tokens = tokenize(email);
+
+  const logScores = {};
+  for (const category of categories) {
+    let score = Math.log(m.docCounts[category] / totalDocs);
+    const counts = m.tokenCounts[category] || {};
+    const total = m.totalTokens[category] || 0;
+    for (const token of tokens) {
+      score += Math.log(((counts[token] || 0) + 1) / (total + vocabSize));
+    }
+    logScores[category] = score;
+  }
+
+  // Softmax over log scores for a usable confidence value
+  const max = Math.max(...Object.values(logScores));
+  const exp = Object.fromEntries(Object.entries(logScores).map(([c, s]) => [c, Math.exp(s - max)]));
+  const sum = Object.values(exp).reduce((a, b) => a + b, 0);
+  const [best, bestWeight] = Object.entries(exp).sort((a, b) => b[1] - a[1])[0];
+
+  return {
+    classification: best,
+    confidence: Math.round((bestWeight / sum) * 100) / 100,
+    reason: `Offline naive Bayes (${totalDocs} training emails)`
+  };
+}
+
+export function createLocalProvider() {
+  return {
+    name: 'local',
+    model: 'naive-bayes',
+
+    isReady() {
+      return true;
+    },
+
+    async classify({ email, categories }) {
+      const m = await loadModel();
+      const trained = Object.keys(m.docCounts).filter(c => categories.includes(c));
+      const totalDocs = trained.reduce((sum, c) => sum + m.docCounts[c], 0);
+
+      if (totalDocs < MIN_TRAINING_DOCS || trained.length < 2) {
+        return classifyWithKeywords(email, categories);
+      }
+      return classifyWithBayes(email, m, categories);
+    },
+
+    async learn(email, category) {
+      const m = await loadModel();
+      m.docCounts[category] = (m.docCounts[category] || 0) + 1;
+      m.tokenCounts[category] = m.tokenCounts[category] || {};
+
+      for (const token of tokenize(email)) {
+        m.tokenCounts[category][token] = (m.tokenCounts[category][token] || 0) + 1;
+        m.totalTokens[category] = (m.totalTokens[category] || 0) + 1;
+        m.vocabulary[token] = 1;
+      }
+      state().dirty = true;
+    },
+
+    // Save what learn() picked up since the last save; called once per poll
+    // rather than on every email
+    async flush() {
+      const current = state();
+      if (!current.dirty) return;
+
+      const m = await loadModel();
+      pruneVocabulary(m);
+      current.dirty = false;
+      try {
+        await writeJson(accountFile(MODEL_FILE), m);
+      } catch (error) {
+        current.dirty = true;
+        logger.error('Error saving local classifier model:', error);
+      }
+    },
+
+    async getStats() {
+      const m = await loadModel();
+      return {
+        trainingDocuments: Object.values(m.docCounts).reduce((a, b) => a + b, 0),
+        vocabularySize: Object.keys(m.vocabulary).length,
+        maxVocabulary: MAX_VOCABULARY,
+        minTrainingDocuments: MIN_TRAINING_DOCS,
+        unsaved: state().dirty
+      };
+    }
+  };
+}
@@ -0,0 +1,55 @@
+import OpenAI, { APIConnectionError } from 'openai';
+
+// Works for api.openai.com and any server speaking the same chat completions
+// protocol (Ollama, llama.cpp server, vLLM, ...) via `baseURL`. Each request
+// gives up after `timeoutMs`; retries are left to the caller (classifier.js).
+export function createOpenAIProvider({ name, apiKey, baseURL, model, jsonMode = true, timeoutMs = 30000 }) {
+  const client = new OpenAI({ apiKey, baseURL, timeout: timeoutMs, maxRetries: 0 });
+
+  return {
+    name,
+    model,
+
+    isReady() {
+      return true;
+    },
+
+    // Worth retrying: timeouts and network failures, rate limits (but not an
+    // exhausted quota, which waiting does not fix) and server errors
+    isTransientError(error) {
+      if (error instanceof APIConnectionError) return true;
+      if (error.status === 429) return error.code !== 'insufficient_quota';
+      return error.status === 408 || error.status === 409 || error.status >= 500;
+    },
+
+    async complete({ systemPrompt, userMessage, maxTokens = 200 }) {
+      const response = await client.chat.completions.create({
+        model,
+        messages: [
+          { role: 'system', content: systemPrompt },
+          { role: 'user', content: userMessage }
+        ],
+        ...(jsonMode ? { response_format: { type: 'json_object' } } : {}),
+        temperature: 0.1,
+        max_tokens: maxTokens
+      });
+
+      return response.choices[0].message.content;
+    },
+
+    async classify({ systemPrompt, userMessage }) {
+      return parseJson(await this.complete({ systemPrompt, userMessage }));
+    },
+
+    // Several emails in one request; the caller maps results back by id
+    async classifyBatch({ systemPrompt, userMessage, size }) {
+      return parseJson(await this.complete({ systemPrompt, userMessage, maxTokens: 80 + size * 120 }));
+    }
+  };
+}
+
+// Local models sometimes wrap the JSON in prose or code fences
+function parseJson(content) {
+  const json = content.slice(content.indexOf('{'), content.lastIndexOf('}') + 1);
+  return JSON.parse(json || content);
+}
@@ -0,0 +1,31 @@
+import crypto from 'crypto';
+
+function promptKey(systemPrompt, userMessage) {
+  return crypto.createHash('sha256').update(`${systemPrompt}\n\n${userMessage}`).digest('hex');
+}
+
+// Answers recorded from another provider, keyed by the exact prompt sent, so
+// an evaluation can be rerun offline and unchanged prompts cost nothing.
+// `recordings` is a plain object the caller loads and saves; with `inner`,
+// prompts not recorded yet are sent to it and their answers added.
+export function createReplayProvider({ recordings, inner = null }) {
+  return {
+    name: inner ? inner.name : 'replay',
+    model: inner ? inner.model : 'recorded',
+
+    isReady() {
+      return true;
+    },
+
+    async classify(request) {
+      const key = promptKey(request.systemPrompt, request.userMessage);
+      if (!(key in recordings)) {
+        if (!inner) {
+          throw new Error('No recorded answer for this prompt');
+        }
+        recordings[key] = await inner.classify(request);
+      }
+      return structuredClone(recordings[key]);
+    }
+  };
+}
@@ -0,0 +1,170 @@
+import crypto from 'crypto';
+import { readJson, writeJson } from './jsonStore.js';
+import { getGmailClient, getOAuth2Client } from './gmail.js';
+import { gmailRequest } from './gmailScheduler.js';
+import { accountState, accountFile } from './accountContext.js';
+import logger from '../logger.js';
+
+const PUSH_FILE = 'push.json';
+
+// Pub/Sub topic Gmail publishes mailbox changes to
+// (projects/<project>/topics/<topic>); push mode is off without it
+const TOPIC = process.env.GMAIL_PUSH_TOPIC || null;
+
+// A watch lasts 7 days; it is renewed once less than this much time is left
+const RENEW_BEFORE_HOURS = parseFloat(process.env.GMAIL_PUSH_RENEW_BEFORE_HOURS) || 24;
+
+// Webhook authentication: a shared secret in the push endpoint URL and/or the
+// OIDC token Pub/Sub signs for an authenticated push subscription
+const VERIFICATION_TOKEN = process.env.PUSH_VERIFICATION_TOKEN || null;
+const OIDC_AUDIENCE = process.env.PUSH_OIDC_AUDIENCE || null;
+const OIDC_SERVICE_ACCOUNT = process.env.PUSH_OIDC_SERVICE_ACCOUNT || null;
+
+const holder = accountState(() => ({ state: null }));
+
+async function loadState() {
+  const current = holder();
+  if (current.state) return current.state;
+
+  try {
+    current.state = await readJson(accountFile(PUSH_FILE), null);
+  } catch (error) {
+    logger.error('Error loading push watch state:', error);
+  }
+
+  if (!current.state) {
+    current.state = { topicName: null, historyId: null, expiration: null, notifications: 0, lastNotificationAt: null };
+  }
+  return current.state;
+}
+
+async function saveState(state) {
+  await writeJson(accountFile(PUSH_FILE), {
+    ...state,
+    savedAt: new Date().toISOString()
+  });
+}
+
+export function isPushEnabled() {
+  return TOPIC !== null;
+}
+
+export async function getPushStatus() {
+  const state = await loadState();
+  return {
+    enabled: isPushEnabled(),
+    topicName: TOPIC,
+    watching: !!state.expiration && Number(state.expiration) > Date.now(),
+    expiration: state.expiration ? new Date(Number(state.expiration)).toISOString() : null,
+    notifications: state.notifications,
+    lastNotificationAt: state.lastNotificationAt
+  };
+}
+
+// Ask Gmail to publish changes to this account's mailbox to the topic
+export async function startPushWatch() {
+  if (!isPushEnabled()) {
+    throw new Error('GMAIL_PUSH_TOPIC not set');
+  }
+  const gmail = getGmailClient();
+  if (!gmail) throw new Error('Gmail not initialized');
+
+  const { data } = await gmailRequest('watch', () => gmail.users.watch({
+    userId: 'me',
+    requestBody: { topicName: TOPIC }
+  }));
+
+  const state = await loadState();
+  state.topicName = TOPIC;
+  state.historyId = data.historyId;
+  state.expiration = data.expiration;
+  await saveState(state);
+
+  logger.info(`Gmail push watch active until ${new Date(Number(data.expiration)).toISOString()}`);
+  return data;
+}
+
+export async function stopPushWatch() {
+  const gmail = getGmailClient();
+  if (!gmail) throw new Error('Gmail not initialized');
+
+  await gmailRequest('stop', () => gmail.users.stop({ userId: 'me' }));
+
+  const state = await loadState();
+  state.expiration = null;
+  await saveState(state);
+  logger.info('Gmail push watch stopped');
+}
+
+// Start or renew the watch when it is missing or close to expiring
+export async function renewPushWatchIfNeeded() {
+  if (!isPushEnabled() || !getGmailClient()) return null;
+
+  const state = await loadState();
+  const remaining = state.expiration ? Number(state.expiration) - Date.now() : 0;
+  if (state.topicName === TOPIC && remaining > RENEW_BEFORE_HOURS * 60 * 60 * 1000) {
+    return null;
+  }
+  return startPushWatch();
+}
+
+export async function recordPushNotification() {
+  const state = await loadState();
+  state.notifications++;
+  state.lastNotificationAt = new Date().toISOString();
+  await saveState(state);
+}
+
+function safeEqual(a, b) {
+  const left = Buffer.from(String(a));
+  const right = Buffer.from(String(b));
+  return left.length === right.length && crypto.timingSafeEqual(left, right);
+}
+
+// Returns null when the request is authentic, otherwise the reason it is not
+export async function verifyPushRequest({ token, authorization }) {
+  if (!VERIFICATION_TOKEN && !OIDC_AUDIENCE) {
+    return 'Push authentication not configured (set PUSH_VERIFICATION_TOKEN or PUSH_OIDC_AUDIENCE)';
+  }
+
+  if (VERIFICATION_TOKEN && !(token && safeEqual(token, VERIFICATION_TOKEN))) {
+    return 'Invalid verification token';
+  }
+
+  if (OIDC_AUDIENCE) {
+    const idToken = authorization?.startsWith('Bearer ') ? authorization.slice(7) : null;
+    if (!idToken) return 'Missing bearer token';
+
+    try {
+      const ticket = await getOAuth2Client().verifyIdToken({ idToken, audience: OIDC_AUDIENCE });
+      const payload = ticket.getPayload();
+      if (!payload.email_verified ||
+          (OIDC_SERVICE_ACCOUNT && payload.email !== OIDC_SERVICE_ACCOUNT)) {
+        return 'Unexpected push service account';
+      }
+    } catch (error) {
+      logger.warn('Push OIDC token rejected:', error.message);
+      return 'Invalid bearer token';
+    }
+  }
+
+  return null;
+}
+
+// Pub/Sub push body: { message: { data: base64({ emailAddress, historyId }) } }
+export function parsePushMessage(body) {
+  const data = body?.message?.data;
+  if (typeof data !== 'string') return null;
+
+  try {
+    const decoded = JSON.parse(Buffer.from(data, 'base64').toString('utf8'));
+    if (!decoded.emailAddress || !/^\d+$/.test(String(decoded.historyId))) return null;
+    return {
+      emailAddress: String(decoded.emailAddress).toLowerCase(),
+      historyId: String(decoded.historyId),
+      messageId: body.message.messageId || body.message.message_id || null
+    };
+  } catch {
+    return null;
+  }
+}
@@ -0,0 +1,158 @@
+import { readJson, writeJson } from './jsonStore.js';
+import { getMessage, modifyLabels, trashMessage, getLabelIds } from './gmail.js';
+import { recordAction } from './undo.js';
+import { accountState, accountFile } from './accountContext.js';
+import logger from '../logger.js';
+
+const QUARANTINE_FILE = 'quarantine.json';
+
+const ENABLED = process.env.QUARANTINE_ENABLED !== 'false';
+const RETENTION_DAYS = parseFloat(process.env.QUARANTINE_RETENTION_DAYS) || 7;
+const SWEEP_INTERVAL_MINUTES = parseInt(process.env.QUARANTINE_SWEEP_INTERVAL_MINUTES) || 60;
+
+// Trash categories below this confidence are always quarantined, even with
+// quarantine disabled
+const MIN_TRASH_CONFIDENCE = parseFloat(process.env.QUARANTINE_MIN_TRASH_CONFIDENCE) || 0.9;
+
+const holder = accountState(() => ({ state: null }));
+
+async function loadState() {
+  const current = holder();
+  if (current.state) return current.state;
+
+  try {
+    current.state = await readJson(accountFile(QUARANTINE_FILE), null);
+  } catch (error) {
+    logger.error('Error loading quarantine:', error);
+  }
+
+  if (!current.state) {
+    current.state = { entries: [], lastSweepAt: null };
+  }
+  return current.state;
+}
+
+async function saveState(state) {
+  await writeJson(accountFile(QUARANTINE_FILE), {
+    ...state,
+    savedAt: new Date().toISOString()
+  });
+}
+
+export function shouldQuarantine(confidence) {
+  return ENABLED || confidence < MIN_TRASH_CONFIDENCE;
+}
+
+export function getQuarantineConfig() {
+  return {
+    enabled: ENABLED,
+    retentionDays: RETENTION_DAYS,
+    minTrashConfidence: MIN_TRASH_CONFIDENCE,
+    sweepIntervalMinutes: SWEEP_INTERVAL_MINUTES
+  };
+}
+
+export async function addToQuarantine({ messageId, from, subject, classification, confidence }) {
+  const state = await loadState();
+  const now = Date.now();
+
+  state.entries = state.entries.filter(e => e.messageId !== messageId);
+  state.entries.push({
+    messageId,
+    from,
+    subject,
+    category: classification,
+    confidence,
+    quarantinedAt: new Date(now).toISOString(),
+    expiresAt: new Date(now + RETENTION_DAYS * 24 * 60 * 60 * 1000).toISOString()
+  });
+  await saveState(state);
+  logger.info(`Quarantined "${subject}" until ${state.entries[state.entries.length - 1].expiresAt}`);
+}
+
+export async function removeFromQuarantine(messageId) {
+  const state = await loadState();
+  const before = state.entries.length;
+  state.entries = state.entries.filter(e => e.messageId !== messageId);
+  if (state.entries.length !== before) {
+    await saveState(state);
+    return true;
+  }
+  return false;
+}
+
+export async function listQuarantine() {
+  const { entries, lastSweepAt } = await loadState();
+  return { entries, lastSweepAt };
+}
+
+export async function getQuarantineEntry(messageId) {
+  const { entries } = await loadState();
+  return entries.find(e => e.messageId === messageId) || null;
+}
+
+// Move a quarantined message back to the inbox
+export async function releaseFromQuarantine(messageId) {
+  const entry = await getQuarantineEntry(messageId);
+  if (!entry) return null;
+
+  const labelId = getLabelIds()[entry.category];
+  await modifyLabels(messageId, ['INBOX'], labelId ? [labelId] : []);
+  await removeFromQuarantine(messageId);
+  logger.info(`Released "${entry.subject}" from quarantine`);
+  return entry;
+}
+
+// Trash expired messages that are still quarantined. Anything the user has
+// moved back to the inbox or relabeled counts as rescued and is left alone.
+export async function sweepQuarantine({ force = false } = {}) {
+  const state = await loadState();
+
+  const now = Date.now();
+  const sinceLastSweep = state.lastSweepAt ? now - new Date(state.lastSweepAt).getTime() : Infinity;
+  if (!force && sinceLastSweep < SWEEP_INTERVAL_MINUTES * 60 * 1000) {
+    return null;
+  }
+
+  const result = { trashed: 0, rescued: 0, missing: 0, errors: 0 };
+  const expired = state.entries.filter(e => new Date(e.expiresAt).getTime() <= now);
+
+  for (const entry of expired) {
+    try {
+      const labelId = getLabelIds()[entry.category];
+      let email;
+      try {
+        email = await getMessage(entry.messageId);
+      } catch (error) {
+        if (error.code !== 404) throw error;
+      }
+
+      if (!email) {
+        result.missing++;
+      } else if (email.labelIds.includes('INBOX') || !email.labelIds.includes(labelId)) {
+        result.rescued++;
+      } else if (!email.labelIds.includes('TRASH')) {
+        await trashMessage(entry.messageId);
+        await recordAction(entry.messageId, entry.category, {
+          action: 'trashed',
+          addLabels: [labelId],
+          removeLabels: ['INBOX']
+        });
+        result.trashed++;
+      }
+
+      state.entries = state.entries.filter(e => e.messageId !== entry.messageId);
+    } catch (error) {
+      logger.error(`Error sweeping quarantined message ${entry.messageId}:`, error);
+      result.errors++;
+    }
+  }
+
+  state.lastSweepAt = new Date(now).toISOString();
+  await saveState(state);
+
+  if (expired.length > 0) {
+    logger.info(`Quarantine sweep: ${result.trashed} trashed, ${result.rescued} rescued, ${result.missing} missing`);
+  }
+  return result;
+}
@@ -0,0 +1,42 @@
+export const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Exponential backoff with full jitter: a random delay up to baseMs * 2^attempt,
+// capped at maxMs, so clients that failed together do not retry together
+export function backoffDelay(attempt, { baseMs, maxMs }) {
+  return Math.round(Math.random() * Math.min(maxMs, baseMs * 2 ** attempt));
+}
+
+// The delay a Retry-After (or OpenAI's retry-after-ms) response header asks
+// for, or null. Works for OpenAI SDK errors and Gaxios (googleapis) errors.
+export function retryAfterMs(error) {
+  const headers = error?.headers || error?.response?.headers;
+  if (!headers) return null;
+  const get = (name) => (typeof headers.get === 'function' ? headers.get(name) : headers[name]);
+
+  const ms = parseFloat(get('retry-after-ms'));
+  if (!Number.isNaN(ms)) return ms;
+
+  const value = get('retry-after');
+  if (!value) return null;
+  const seconds = parseFloat(value);
+  if (!Number.isNaN(seconds)) return seconds * 1000;
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+// Call `fn` until it succeeds or `shouldRetry(error, attempt)` says to give
+// up (attempt counts from 0). The server's Retry-After is honored when it
+// asks for longer than the backoff, up to maxMs.
+export async function retryWithBackoff(fn, { shouldRetry, baseMs = 1000, maxMs = 30000, onRetry = () => {} }) {
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await fn(attempt);
+    } catch (error) {
+      if (!shouldRetry(error, attempt)) throw error;
+
+      const delay = Math.min(maxMs, Math.max(backoffDelay(attempt, { baseMs, maxMs }), retryAfterMs(error) || 0));
+      onRetry(error, attempt, delay);
+      await sleep(delay);
+    }
+  }
+}
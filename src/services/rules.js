@@ -0,0 +1,295 @@
+import { v4 as uuidv4 } from 'uuid';
+import { readJson, writeJson } from './jsonStore.js';
+import { parseAddress, isSameOrSubdomain } from './emailAddress.js';
+import { getCategoryNames } from './categories.js';
+import logger from '../logger.js';
+
+const RULES_FILE = 'rules.json';
+
+export const FIELDS = ['from', 'domain', 'subject', 'header', 'listId'];
+export const OPERATORS = ['equals', 'contains', 'startsWith', 'endsWith', 'matches'];
+const MATCH_MODES = ['all', 'any'];
+
+// Patterns run against every incoming email, so they are kept short and
+// simple enough not to backtrack catastrophically
+const MAX_PATTERN_LENGTH = 200;
+
+let rules = null;
+// Pattern -> compiled RegExp, so mail is not matched by recompiling every time
+const compiledPatterns = new Map();
+
+async function loadRules() {
+  if (rules) return rules;
+
+  try {
+    const data = await readJson(RULES_FILE, { rules: [] });
+    rules = data.rules || [];
+    logger.info(`Loaded ${rules.length} classification rules`);
+  } catch (error) {
+    logger.error('Error loading rules:', error);
+    rules = [];
+  }
+  return rules;
+}
+
+async function saveRules() {
+  compiledPatterns.clear();
+  await writeJson(RULES_FILE, {
+    rules,
+    savedAt: new Date().toISOString()
+  });
+}
+
+// True for a repeated group that itself repeats, like (a+)+ or (\w*)*, the
+// shape behind catastrophic backtracking
+function hasNestedQuantifier(pattern) {
+  const groups = [false];
+  let inClass = false;
+
+  for (let i = 0; i < pattern.length; i++) {
+    const c = pattern[i];
+    if (c === '\\') {
+      i++;
+    } else if (inClass) {
+      inClass = c !== ']';
+    } else if (c === '[') {
+      inClass = true;
+    } else if (c === '(') {
+      groups.push(false);
+    } else if (c === ')' && groups.length > 1) {
+      const repeats = groups.pop();
+      if (repeats && /[*+{]/.test(pattern[i + 1])) return true;
+      groups[groups.length - 1] ||= repeats;
+    } else if (c === '*' || c === '+' || c === '{') {
+      groups[groups.length - 1] = true;
+    }
+  }
+  return false;
+}
+
+function compilePattern(pattern) {
+  let regex = compiledPatterns.get(pattern);
+  if (!regex) {
+    regex = new RegExp(pattern, 'i');
+    compiledPatterns.set(pattern, regex);
+  }
+  return regex;
+}
+
+function validateCondition(condition, path, errors) {
+  if (!condition || typeof condition !== 'object') {
+    errors.push(`${path} must be an object`);
+    return;
+  }
+
+  // Nested group: { match: 'any', conditions: [...] }
+  if (Array.isArray(condition.conditions)) {
+    if (condition.match !== undefined && !MATCH_MODES.includes(condition.match)) {
+      errors.push(`${path}.match must be one of: ${MATCH_MODES.join(', ')}`);
+    }
+    if (condition.conditions.length === 0) {
+      errors.push(`${path}.conditions must not be empty`);
+    }
+    condition.conditions.forEach((c, i) => validateCondition(c, `${path}.conditions[${i}]`, errors));
+    return;
+  }
+
+  if (!FIELDS.includes(condition.field)) {
+    errors.push(`${path}.field must be one of: ${FIELDS.join(', ')}`);
+  }
+  if (condition.field === 'header' && !condition.header) {
+    errors.push(`${path}.header is required when field is "header"`);
+  }
+  if (!OPERATORS.includes(condition.operator)) {
+    errors.push(`${path}.operator must be one of: ${OPERATORS.join(', ')}`);
+  }
+  if (typeof condition.value !== 'string' || condition.value === '') {
+    errors.push(`${path}.value must be a non-empty string`);
+  } else if (condition.operator === 'matches') {
+    if (condition.value.length > MAX_PATTERN_LENGTH) {
+      errors.push(`${path}.value must be at most ${MAX_PATTERN_LENGTH} characters`);
+    } else if (hasNestedQuantifier(condition.value)) {
+      errors.push(`${path}.value must not repeat a group that already repeats, like (a+)+`);
+    } else {
+      try {
+        compilePattern(condition.value);
+      } catch (error) {
+        errors.push(`${path}.value is not a valid regular expression: ${error.message}`);
+      }
+    }
+  }
+}
+
+export async function validateRule(rule) {
+  const errors = [];
+
+  if (!rule || typeof rule !== 'object') {
+    return ['Rule must be an object'];
+  }
+  if (typeof rule.name !== 'string' || !rule.name.trim()) {
+    errors.push('name is required');
+  }
+  const categories = await getCategoryNames();
+  if (!categories.includes(rule.category)) {
+    errors.push(`category must be one of: ${categories.join(', ')}`);
+  }
+  if (rule.match !== undefined && !MATCH_MODES.includes(rule.match)) {
+    errors.push(`match must be one of: ${MATCH_MODES.join(', ')}`);
+  }
+  if (!Array.isArray(rule.conditions) || rule.conditions.length === 0) {
+    errors.push('conditions must be a non-empty array');
+  } else {
+    rule.conditions.forEach((c, i) => validateCondition(c, `conditions[${i}]`, errors));
+  }
+
+  return errors;
+}
+
+function normalizeRule(input) {
+  return {
+    name: input.name.trim(),
+    enabled: input.enabled !== false,
+    match: input.match || 'all',
+    conditions: input.conditions,
+    category: input.category,
+    priority: Number.isFinite(input.priority) ? input.priority : 0
+  };
+}
+
+function getFieldValue(email, condition) {
+  switch (condition.field) {
+    case 'from':
+      return email.from || '';
+    case 'domain':
+      return parseAddress(email.from).domain;
+    case 'subject':
+      return email.subject || '';
+    case 'header': {
+      const name = condition.header.toLowerCase();
+      return (email.headers || []).find(h => h.name.toLowerCase() === name)?.value || '';
+    }
+    case 'listId':
+      return (email.headers || []).find(h => h.name.toLowerCase() === 'list-id')?.value || '';
+    default:
+      return '';
+  }
+}
+
+function matchesCondition(email, condition) {
+  if (Array.isArray(condition.conditions)) {
+    return matchesGroup(email, condition.match || 'all', condition.conditions);
+  }
+
+  const actual = getFieldValue(email, condition);
+  if (!actual) return false;
+
+  const haystack = actual.toLowerCase();
+  const needle = condition.value.toLowerCase();
+
+  switch (condition.operator) {
+    case 'equals':
+      // Domains also match their subdomains so "example.edu" covers "mail.example.edu"
+      return condition.field === 'domain'
+        ? isSameOrSubdomain(haystack, needle)
+        : haystack === needle;
+    case 'contains':
+      return haystack.includes(needle);
+    case 'startsWith':
+      return haystack.startsWith(needle);
+    case 'endsWith':
+      return haystack.endsWith(needle);
+    case 'matches':
+      return compilePattern(condition.value).test(actual);
+    default:
+      return false;
+  }
+}
+
+function matchesGroup(email, match, conditions) {
+  return match === 'any'
+    ? conditions.some(c => matchesCondition(email, c))
+    : conditions.every(c => matchesCondition(email, c));
+}
+
+// Returns the first enabled rule matching the email, or null
+export async function evaluateRules(email) {
+  const all = await loadRules();
+  const ordered = all
+    .filter(rule => rule.enabled)
+    .sort((a, b) => b.priority - a.priority);
+
+  for (const rule of ordered) {
+    try {
+      if (matchesGroup(email, rule.match, rule.conditions)) {
+        logger.info(`Rule "${rule.name}" matched email "${email.subject}" -> ${rule.category}`);
+        return rule;
+      }
+    } catch (error) {
+      logger.error(`Error evaluating rule "${rule.name}":`, error);
+    }
+  }
+
+  return null;
+}
+
+export async function listRules() {
+  return loadRules();
+}
+
+export async function getRule(id) {
+  const all = await loadRules();
+  return all.find(rule => rule.id === id) || null;
+}
+
+export async function createRule(input) {
+  const errors = await validateRule(input);
+  if (errors.length > 0) {
+    throw new Error(`Invalid rule: ${errors.join('; ')}`);
+  }
+
+  await loadRules();
+  const now = new Date().toISOString();
+  const rule = {
+    id: uuidv4(),
+    ...normalizeRule(input),
+    createdAt: now,
+    updatedAt: now
+  };
+
+  rules.push(rule);
+  await saveRules();
+  logger.info(`Created rule "${rule.name}" (${rule.id})`);
+  return rule;
+}
+
+export async function updateRule(id, changes) {
+  const existing = await getRule(id);
+  if (!existing) return null;
+
+  const merged = { ...existing, ...changes };
+  const errors = await validateRule(merged);
+  if (errors.length > 0) {
+    throw new Error(`Invalid rule: ${errors.join('; ')}`);
+  }
+
+  const updated = {
+    ...existing,
+    ...normalizeRule(merged),
+    updatedAt: new Date().toISOString()
+  };
+
+  rules = rules.map(rule => (rule.id === id ? updated : rule));
+  await saveRules();
+  logger.info(`Updated rule "${updated.name}" (${id})`);
+  return updated;
+}
+
+export async function deleteRule(id) {
+  const existing = await getRule(id);
+  if (!existing) return false;
+
+  rules = rules.filter(rule => rule.id !== id);
+  await saveRules();
+  logger.info(`Deleted rule "${existing.name}" (${id})`);
+  return true;
+}
@@ -0,0 +1,233 @@
+import { v4 as uuidv4 } from 'uuid';
+import { readJson, writeJson } from './jsonStore.js';
+import { parseAddress, parseAddressList, isSameOrSubdomain } from './emailAddress.js';
+import { listCategories } from './categories.js';
+import { accountState, accountFile } from './accountContext.js';
+import logger from '../logger.js';
+
+const SENDERS_FILE = 'senders.json';
+const LIST_TYPES = ['allow', 'block'];
+
+// Reputation entries kept; the least recently active are dropped first
+const MAX_SENDERS = 10000;
+
+// Reputation is kept per address and per domain: how often each category was
+// assigned, how often the user corrected us, and whether they ever wrote to
+// the sender. Allow/block entries are explicit and win over the model.
+const state = accountState(() => ({ data: null }));
+
+async function loadSenders() {
+  const current = state();
+  if (current.data) return current.data;
+
+  try {
+    const data = await readJson(accountFile(SENDERS_FILE), null);
+    current.data = { reputation: data?.reputation || {}, lists: data?.lists || [] };
+  } catch (error) {
+    logger.error('Error loading senders:', error);
+    current.data = { reputation: {}, lists: [] };
+  }
+  return current.data;
+}
+
+async function saveSenders(data) {
+  const keys = Object.keys(data.reputation);
+  if (keys.length > MAX_SENDERS) {
+    const lastActive = key => data.reputation[key].lastSeenAt || data.reputation[key].lastRepliedAt || '';
+    keys
+      .sort((a, b) => lastActive(a).localeCompare(lastActive(b)))
+      .slice(0, keys.length - MAX_SENDERS)
+      .forEach(key => delete data.reputation[key]);
+  }
+
+  await writeJson(accountFile(SENDERS_FILE), {
+    ...data,
+    savedAt: new Date().toISOString()
+  });
+}
+
+function entryFor(data, key) {
+  if (!data.reputation[key]) {
+    data.reputation[key] = {
+      key,
+      kind: key.includes('@') ? 'address' : 'domain',
+      total: 0,
+      categories: {},
+      corrections: 0,
+      replied: false,
+      firstSeenAt: null,
+      lastSeenAt: null,
+      lastRepliedAt: null
+    };
+  }
+  return data.reputation[key];
+}
+
+function senderKeys(from) {
+  const { address, domain } = parseAddress(from);
+  return [address, domain].filter(Boolean);
+}
+
+// Count decisions ({ from, classification }) against each sender's address
+// and domain; called once per batch so the file is written once
+export async function recordSenderDecisions(decisions) {
+  if (decisions.length === 0) return;
+
+  const data = await loadSenders();
+  const now = new Date().toISOString();
+
+  for (const { from, classification } of decisions) {
+    for (const key of senderKeys(from)) {
+      const entry = entryFor(data, key);
+      entry.total++;
+      entry.categories[classification] = (entry.categories[classification] || 0) + 1;
+      entry.firstSeenAt = entry.firstSeenAt || now;
+      entry.lastSeenAt = now;
+    }
+  }
+  await saveSenders(data);
+}
+
+// Move one decision from the category we picked to the one the user chose
+export async function recordSenderCorrection(from, original, corrected) {
+  const data = await loadSenders();
+
+  for (const key of senderKeys(from)) {
+    const entry = entryFor(data, key);
+    entry.corrections++;
+    if (entry.categories[original] > 0) entry.categories[original]--;
+    entry.categories[corrected] = (entry.categories[corrected] || 0) + 1;
+  }
+  await saveSenders(data);
+}
+
+// Mark the recipients of messages the user sent ({ to, cc, date }) as people
+// they write to. Returns how many recipients were recorded.
+export async function recordSentMessages(messages) {
+  const data = await loadSenders();
+  let recorded = 0;
+
+  for (const { to, cc, date } of messages) {
+    const time = new Date(date).getTime();
+    const sentAt = new Date(Number.isNaN(time) ? Date.now() : time).toISOString();
+
+    for (const { address } of [...parseAddressList(to), ...parseAddressList(cc)]) {
+      const entry = entryFor(data, address);
+      entry.replied = true;
+      if (!entry.lastRepliedAt || entry.lastRepliedAt < sentAt) entry.lastRepliedAt = sentAt;
+      recorded++;
+    }
+  }
+
+  if (recorded > 0) await saveSenders(data);
+  return recorded;
+}
+
+// Reputation for the sender's address and domain (either may be null)
+export async function getSenderHistory(from) {
+  const data = await loadSenders();
+  const { address, domain } = parseAddress(from);
+  return {
+    address: (address && data.reputation[address]) || null,
+    domain: (domain && data.reputation[domain]) || null
+  };
+}
+
+export async function listSenderReputation({ search, limit = 100 } = {}) {
+  const data = await loadSenders();
+  const term = search?.toLowerCase();
+  return Object.values(data.reputation)
+    .filter(entry => !term || entry.key.includes(term))
+    .sort((a, b) => b.total - a.total)
+    .slice(0, limit);
+}
+
+export async function listSenderLists() {
+  const data = await loadSenders();
+  return data.lists;
+}
+
+export async function validateListEntry(input) {
+  const errors = [];
+
+  if (!input || typeof input !== 'object') {
+    return ['Entry must be an object'];
+  }
+  if (!LIST_TYPES.includes(input.type)) {
+    errors.push(`type must be one of: ${LIST_TYPES.join(', ')}`);
+  }
+  if (typeof input.value !== 'string' || !/^([^\s@]+@)?[a-z0-9.-]+\.[a-z]{2,}$/i.test(input.value.trim())) {
+    errors.push('value must be an email address or a domain');
+  }
+  if (input.category !== undefined && input.category !== null &&
+      !(await listCategories()).some(c => c.name === input.category)) {
+    errors.push('category must be the name of a category');
+  }
+
+  const data = await loadSenders();
+  const value = typeof input.value === 'string' ? input.value.trim().toLowerCase() : null;
+  if (value && data.lists.some(e => e.value === value)) {
+    errors.push(`"${value}" is already on the ${data.lists.find(e => e.value === value).type} list`);
+  }
+
+  return errors;
+}
+
+export async function addListEntry(input) {
+  const errors = await validateListEntry(input);
+  if (errors.length > 0) {
+    throw new Error(`Invalid sender list entry: ${errors.join('; ')}`);
+  }
+
+  const data = await loadSenders();
+  const entry = {
+    id: uuidv4(),
+    type: input.type,
+    value: input.value.trim().toLowerCase(),
+    category: input.category || null,
+    note: typeof input.note === 'string' ? input.note.trim() : '',
+    createdAt: new Date().toISOString()
+  };
+
+  data.lists.push(entry);
+  await saveSenders(data);
+  logger.info(`Added ${entry.value} to the ${entry.type} list`);
+  return entry;
+}
+
+export async function removeListEntry(id) {
+  const data = await loadSenders();
+  const entry = data.lists.find(e => e.id === id);
+  if (!entry) return null;
+
+  data.lists = data.lists.filter(e => e.id !== id);
+  await saveSenders(data);
+  logger.info(`Removed ${entry.value} from the ${entry.type} list`);
+  return entry;
+}
+
+// The list entry for a sender: an exact address beats a domain, and a more
+// specific domain beats its parent
+export async function findListEntry(from) {
+  const { address, domain } = parseAddress(from);
+  if (!address) return null;
+
+  const { lists } = await loadSenders();
+  const exact = lists.find(e => e.value === address);
+  if (exact) return exact;
+
+  return lists
+    .filter(e => !e.value.includes('@') && isSameOrSubdomain(domain, e.value))
+    .sort((a, b) => b.value.length - a.value.length)[0] || null;
+}
+
+// The category an allow/block entry sends mail to: its own, or the first
+// category that keeps mail (allow) or trashes it (block). An entry whose
+// category no longer exists gets the default too.
+export async function getListCategory(entry) {
+  const categories = await listCategories();
+  if (entry.category && categories.some(c => c.name === entry.category)) return entry.category;
+
+  const action = entry.type === 'allow' ? 'keep' : 'trash';
+  return categories.find(c => c.action === action)?.name || null;
+}
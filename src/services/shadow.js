@@ -0,0 +1,130 @@
+import { readJson, writeJson } from './jsonStore.js';
+import { getMessage } from './gmail.js';
+import { updateDecision } from './decisionLog.js';
+import { executeDecisions } from './actions.js';
+import { accountState, accountFile } from './accountContext.js';
+import logger from '../logger.js';
+
+const SHADOW_FILE = 'shadow.json';
+
+const holder = accountState(() => ({ state: null }));
+
+async function loadState() {
+  const current = holder();
+  if (current.state) return current.state;
+
+  try {
+    current.state = await readJson(accountFile(SHADOW_FILE), null);
+  } catch (error) {
+    logger.error('Error loading shadow decisions:', error);
+  }
+
+  if (!current.state) {
+    current.state = { enabled: process.env.SHADOW_MODE === 'true', decisions: [] };
+  }
+  return current.state;
+}
+
+async function saveState(state) {
+  await writeJson(accountFile(SHADOW_FILE), {
+    ...state,
+    savedAt: new Date().toISOString()
+  });
+}
+
+export async function isShadowMode() {
+  return (await loadState()).enabled;
+}
+
+export async function setShadowMode(enabled) {
+  const state = await loadState();
+  state.enabled = !!enabled;
+  await saveState(state);
+  logger.info(`Shadow mode ${state.enabled ? 'enabled' : 'disabled'}`);
+  return state.enabled;
+}
+
+export async function recordShadowDecision(decision) {
+  const state = await loadState();
+  state.decisions = state.decisions.filter(d => d.messageId !== decision.messageId);
+  state.decisions.push({ ...decision, recordedAt: new Date().toISOString() });
+  await saveState(state);
+  logger.info(`Shadow: would ${decision.plannedAction.action} "${decision.subject}" as ${decision.classification}`);
+}
+
+export async function listShadowDecisions({ classification } = {}) {
+  const { decisions } = await loadState();
+  return classification
+    ? decisions.filter(d => d.classification === classification)
+    : decisions;
+}
+
+function selectDecisions(state, messageIds) {
+  return messageIds
+    ? state.decisions.filter(d => messageIds.includes(d.messageId))
+    : state.decisions;
+}
+
+// Apply recorded decisions for real, together so that messages sharing an
+// action share a batchModify call. Messages the user already moved out of
+// the inbox are skipped rather than second-guessed.
+export async function applyShadowDecisions(messageIds = null) {
+  const state = await loadState();
+  const results = [];
+  const toApply = [];
+
+  for (const decision of selectDecisions(state, messageIds)) {
+    try {
+      const email = await getMessage(decision.messageId);
+      if (!email.labelIds.includes('INBOX')) {
+        results.push({ messageId: decision.messageId, status: 'skipped', reason: 'No longer in inbox' });
+        state.decisions = state.decisions.filter(d => d.messageId !== decision.messageId);
+      } else {
+        toApply.push(decision);
+      }
+    } catch (error) {
+      logger.error(`Error applying shadow decision for ${decision.messageId}:`, error);
+      results.push({ messageId: decision.messageId, status: 'error', error: error.message });
+    }
+  }
+
+  const applied = await executeDecisions(toApply.map(decision => ({
+    messageId: decision.messageId,
+    decision: {
+      classification: decision.classification,
+      confidence: decision.confidence,
+      routing: decision.routing,
+      from: decision.from,
+      subject: decision.subject
+    }
+  })));
+
+  for (const decision of toApply) {
+    try {
+      const action = applied.get(decision.messageId);
+      if (action instanceof Error) throw action;
+      await updateDecision(decision.messageId, {
+        action,
+        shadow: false,
+        appliedAt: new Date().toISOString()
+      });
+      results.push({ messageId: decision.messageId, status: 'applied', ...action });
+      state.decisions = state.decisions.filter(d => d.messageId !== decision.messageId);
+    } catch (error) {
+      logger.error(`Error applying shadow decision for ${decision.messageId}:`, error);
+      results.push({ messageId: decision.messageId, status: 'error', error: error.message });
+    }
+  }
+
+  await saveState(state);
+  return results;
+}
+
+// Drop recorded decisions; the messages stay processed and are not reclassified
+export async function discardShadowDecisions(messageIds = null) {
+  const state = await loadState();
+  const discarded = selectDecisions(state, messageIds).map(d => d.messageId);
+  state.decisions = state.decisions.filter(d => !discarded.includes(d.messageId));
+  await saveState(state);
+  return discarded;
+}
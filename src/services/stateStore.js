@@ -0,0 +1,105 @@
+import path from 'path';
+import { DATA_DIR } from './jsonStore.js';
+import { createFileStore } from './stores/file.js';
+import { createSqliteStore } from './stores/sqlite.js';
+import { createRedisStore } from './stores/redis.js';
+import logger from '../logger.js';
+
+// Where watcher state and tokens live. Files are lost on every serverless
+// cold start; sqlite and redis keep them across restarts and instances.
+let storePromise = null;
+
+async function createStore(name) {
+  switch (name) {
+    case 'file':
+      return createFileStore();
+    case 'sqlite':
+      return createSqliteStore({
+        filePath: process.env.SQLITE_PATH || path.join(DATA_DIR, 'state.db')
+      });
+    case 'redis':
+      if (!process.env.REDIS_URL) {
+        throw new Error('REDIS_URL not set');
+      }
+      return createRedisStore({
+        url: process.env.REDIS_URL,
+        prefix: process.env.STATE_STORE_PREFIX || 'email-filter:'
+      });
+    default:
+      throw new Error(`Unknown STATE_STORE: ${name}`);
+  }
+}
+
+export function getStateStore() {
+  if (!storePromise) {
+    const name = process.env.STATE_STORE || 'file';
+    storePromise = createStore(name).then(store => {
+      logger.info(`Using ${store.name} state store`);
+      return store;
+    });
+    // Let a later call retry, e.g. after the optional package is installed
+    storePromise.catch(() => {
+      storePromise = null;
+    });
+  }
+  return storePromise;
+}
+
+export async function getStateStoreName() {
+  try {
+    return (await getStateStore()).name;
+  } catch {
+    return null;
+  }
+}
+
+export async function readState(key) {
+  return (await getStateStore()).get(key);
+}
+
+export async function writeState(key, value) {
+  await (await getStateStore()).set(key, value);
+}
+
+export async function deleteState(key) {
+  await (await getStateStore()).delete(key);
+}
+
+// Run fn while holding the named lock. Returns { acquired: false } without
+// running fn when someone else holds it. The lock is renewed every third of
+// its TTL while fn runs, so ttlMs only bounds how long a dead holder blocks
+// others. fn gets a handle whose `held` turns false if renewing failed (the
+// process stalled past the TTL, or the store was unreachable) and another
+// holder may have taken over.
+export async function withLock(name, ttlMs, fn) {
+  const store = await getStateStore();
+  const token = await store.acquireLock(name, ttlMs);
+  if (!token) {
+    return { acquired: false };
+  }
+
+  const lock = { held: true };
+  const renewal = setInterval(async () => {
+    try {
+      if (lock.held && !(await store.extendLock(name, token, ttlMs))) {
+        lock.held = false;
+        logger.warn(`Lost lock ${name}`);
+      }
+    } catch (error) {
+      lock.held = false;
+      logger.error(`Error renewing lock ${name}:`, error);
+    }
+  }, Math.max(100, Math.floor(ttlMs / 3)));
+  renewal.unref();
+
+  try {
+    return { acquired: true, result: await fn(lock) };
+  } finally {
+    clearInterval(renewal);
+    try {
+      await store.releaseLock(name, token);
+    } catch (error) {
+      logger.error(`Error releasing lock ${name}:`, error);
+    }
+  }
+}
@@ -0,0 +1,123 @@
+import fs from 'fs/promises';
+import path from 'path';
+import crypto from 'crypto';
+import { DATA_DIR, readJson, writeJson } from '../jsonStore.js';
+
+// One JSON file per key under the data directory ('processed' ->
+// processed.json), written atomically. Locks are lock files created with
+// link(), which fails like O_EXCL when the file exists, so they hold across
+// processes sharing the same disk.
+export function createFileStore() {
+  const lockPath = (name) => path.join(DATA_DIR, 'locks', `${name.replace(/[^a-zA-Z0-9_-]/g, '_')}.lock`);
+
+  // { token, expiresAt } or null when there is no lock. A lock file that
+  // cannot be parsed counts as held until it is ttlMs old, never as free.
+  async function readLock(file, ttlMs) {
+    let data;
+    try {
+      data = await fs.readFile(file, 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+    try {
+      return JSON.parse(data);
+    } catch {
+      const { mtimeMs } = await fs.stat(file).catch(() => ({ mtimeMs: Date.now() }));
+      return { token: null, expiresAt: mtimeMs + ttlMs };
+    }
+  }
+
+  // Lock contents go to a temp file first, so nobody ever reads a half-written lock
+  async function writeTemp(file, token, ttlMs) {
+    const tmp = `${file}.${crypto.randomUUID()}.tmp`;
+    await fs.writeFile(tmp, JSON.stringify({ token, expiresAt: Date.now() + ttlMs }));
+    return tmp;
+  }
+
+  // link() fails if the lock exists, like O_EXCL, but the file appears complete
+  async function createLock(file, token, ttlMs) {
+    const tmp = await writeTemp(file, token, ttlMs);
+    try {
+      await fs.link(tmp, file);
+      return true;
+    } catch (error) {
+      if (error.code === 'EEXIST') return false;
+      throw error;
+    } finally {
+      await fs.unlink(tmp).catch(() => {});
+    }
+  }
+
+  // Move an expired lock out of the way. It is renamed aside first and only
+  // deleted if it is still the lock found expired; if another contender took
+  // over in between, their lock is put back.
+  async function removeStaleLock(file, stale) {
+    const aside = `${file}.${crypto.randomUUID()}.stale`;
+    try {
+      await fs.rename(file, aside);
+    } catch (error) {
+      if (error.code === 'ENOENT') return;
+      throw error;
+    }
+
+    const moved = await readLock(aside, 0);
+    if (moved?.token !== stale.token) {
+      await fs.link(aside, file).catch(() => {});
+    }
+    await fs.unlink(aside).catch(() => {});
+  }
+
+  return {
+    name: 'file',
+
+    async get(key) {
+      return readJson(`${key}.json`, null);
+    },
+
+    async set(key, value) {
+      await writeJson(`${key}.json`, value);
+    },
+
+    async delete(key) {
+      try {
+        await fs.unlink(path.join(DATA_DIR, `${key}.json`));
+      } catch (error) {
+        if (error.code !== 'ENOENT') throw error;
+      }
+    },
+
+    async acquireLock(name, ttlMs) {
+      const file = lockPath(name);
+      await fs.mkdir(path.dirname(file), { recursive: true });
+      const token = crypto.randomUUID();
+
+      if (await createLock(file, token, ttlMs)) return token;
+
+      // Take over a lock whose holder died without releasing it
+      const existing = await readLock(file, ttlMs);
+      if (existing && existing.expiresAt > Date.now()) return null;
+
+      if (existing) await removeStaleLock(file, existing);
+      return (await createLock(file, token, ttlMs)) ? token : null;
+    },
+
+    async extendLock(name, token, ttlMs) {
+      const file = lockPath(name);
+      const existing = await readLock(file, ttlMs);
+      if (existing?.token !== token) return false;
+
+      const tmp = await writeTemp(file, token, ttlMs);
+      await fs.rename(tmp, file);
+      return true;
+    },
+
+    async releaseLock(name, token) {
+      const file = lockPath(name);
+      const existing = await readLock(file, 0);
+      if (existing?.token === token) {
+        await fs.unlink(file).catch(() => {});
+      }
+    }
+  };
+}
@@ -0,0 +1,62 @@
+import crypto from 'crypto';
+
+// Only delete the lock if it still holds our token, so a holder that outlived
+// its TTL can't release someone else's lock
+const RELEASE_SCRIPT = `
+if redis.call('get', KEYS[1]) == ARGV[1] then
+  return redis.call('del', KEYS[1])
+end
+return 0
+`;
+
+// Push back the expiry only while the lock still holds our token
+const EXTEND_SCRIPT = `
+if redis.call('get', KEYS[1]) == ARGV[1] then
+  return redis.call('pexpire', KEYS[1], ARGV[2])
+end
+return 0
+`;
+
+// Any Redis-compatible server (Redis, Valkey, Upstash, ...). Needs the
+// optional ioredis package (npm install ioredis).
+export async function createRedisStore({ url, prefix }) {
+  let Redis;
+  try {
+    ({ default: Redis } = await import('ioredis'));
+  } catch {
+    throw new Error('STATE_STORE=redis requires the ioredis package (npm install ioredis)');
+  }
+
+  const client = new Redis(url, { maxRetriesPerRequest: 3 });
+
+  return {
+    name: 'redis',
+
+    async get(key) {
+      const value = await client.get(prefix + key);
+      return value === null ? null : JSON.parse(value);
+    },
+
+    async set(key, value) {
+      await client.set(prefix + key, JSON.stringify(value));
+    },
+
+    async delete(key) {
+      await client.del(prefix + key);
+    },
+
+    async acquireLock(name, ttlMs) {
+      const token = crypto.randomUUID();
+      const result = await client.set(`${prefix}lock:${name}`, token, 'PX', ttlMs, 'NX');
+      return result === 'OK' ? token : null;
+    },
+
+    async extendLock(name, token, ttlMs) {
+      return (await client.eval(EXTEND_SCRIPT, 1, `${prefix}lock:${name}`, token, ttlMs)) === 1;
+    },
+
+    async releaseLock(name, token) {
+      await client.eval(RELEASE_SCRIPT, 1, `${prefix}lock:${name}`, token);
+    }
+  };
+}
@@ -0,0 +1,69 @@
+import path from 'path';
+import fs from 'fs/promises';
+import crypto from 'crypto';
+
+// Keys and locks in a single SQLite database. Needs the optional
+// better-sqlite3 package (npm install better-sqlite3).
+export async function createSqliteStore({ filePath }) {
+  let Database;
+  try {
+    ({ default: Database } = await import('better-sqlite3'));
+  } catch {
+    throw new Error('STATE_STORE=sqlite requires the better-sqlite3 package (npm install better-sqlite3)');
+  }
+
+  await fs.mkdir(path.dirname(filePath), { recursive: true });
+  const db = new Database(filePath);
+  db.pragma('journal_mode = WAL');
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS state (key TEXT PRIMARY KEY, value TEXT NOT NULL, updated_at INTEGER NOT NULL);
+    CREATE TABLE IF NOT EXISTS locks (name TEXT PRIMARY KEY, token TEXT NOT NULL, expires_at INTEGER NOT NULL);
+  `);
+
+  const selectValue = db.prepare('SELECT value FROM state WHERE key = ?');
+  const upsertValue = db.prepare(`
+    INSERT INTO state (key, value, updated_at) VALUES (?, ?, ?)
+    ON CONFLICT(key) DO UPDATE SET value = excluded.value, updated_at = excluded.updated_at
+  `);
+  const deleteValue = db.prepare('DELETE FROM state WHERE key = ?');
+  const deleteExpiredLock = db.prepare('DELETE FROM locks WHERE name = ? AND expires_at <= ?');
+  const insertLock = db.prepare('INSERT OR IGNORE INTO locks (name, token, expires_at) VALUES (?, ?, ?)');
+  const deleteLock = db.prepare('DELETE FROM locks WHERE name = ? AND token = ?');
+  const extendLock = db.prepare('UPDATE locks SET expires_at = ? WHERE name = ? AND token = ?');
+
+  // Expired locks are cleared and the new one inserted in one transaction
+  const tryLock = db.transaction((name, token, now, ttlMs) => {
+    deleteExpiredLock.run(name, now);
+    return insertLock.run(name, token, now + ttlMs).changes === 1;
+  });
+
+  return {
+    name: 'sqlite',
+
+    async get(key) {
+      const row = selectValue.get(key);
+      return row ? JSON.parse(row.value) : null;
+    },
+
+    async set(key, value) {
+      upsertValue.run(key, JSON.stringify(value), Date.now());
+    },
+
+    async delete(key) {
+      deleteValue.run(key);
+    },
+
+    async acquireLock(name, ttlMs) {
+      const token = crypto.randomUUID();
+      return tryLock(name, token, Date.now(), ttlMs) ? token : null;
+    },
+
+    async extendLock(name, token, ttlMs) {
+      return extendLock.run(Date.now() + ttlMs, name, token).changes === 1;
+    },
+
+    async releaseLock(name, token) {
+      deleteLock.run(name, token);
+    }
+  };
+}
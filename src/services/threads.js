@@ -0,0 +1,118 @@
+import { getThread, getLabelIds, batchModifyLabels } from './gmail.js';
+import { listCategories, getCategory } from './categories.js';
+import { getDecision, updateDecision } from './decisionLog.js';
+import logger from '../logger.js';
+
+const ENABLED = process.env.THREAD_CONTEXT !== 'false';
+
+// Move earlier messages of a conversation to the category a reply gets, so a
+// thread is not split across labels
+const THREAD_LABELS = process.env.THREAD_LABELS === 'true';
+
+// Earlier messages summarized in the prompt
+const MAX_EARLIER = 3;
+
+function isReply(email) {
+  return (email.headers || []).some(h => ['in-reply-to', 'references'].includes(h.name.toLowerCase()));
+}
+
+// What the conversation a message belongs to looks like: its size, whether
+// the user wrote in it, and the categories the other messages are in. Only
+// replies are looked up, so a new conversation costs no extra Gmail call.
+// `cache` (threadId -> messages) is shared across one batch.
+export async function getThreadContext(email, cache = new Map()) {
+  if (!ENABLED || !email.threadId || !isReply(email)) return null;
+
+  if (!cache.has(email.threadId)) {
+    cache.set(email.threadId, await getThread(email.threadId));
+  }
+  const messages = cache.get(email.threadId);
+  const position = messages.findIndex(m => m.id === email.id);
+  const others = messages.filter(m => m.id !== email.id);
+  if (others.length === 0) return null;
+
+  const categoryByLabel = Object.fromEntries(Object.entries(getLabelIds()).map(([name, id]) => [id, name]));
+  const describe = m => ({
+    id: m.id,
+    from: m.from,
+    subject: m.subject,
+    sent: m.labelIds.includes('SENT'),
+    category: m.labelIds.map(id => categoryByLabel[id]).find(Boolean) || null
+  });
+
+  const described = others.map(describe);
+  const earlier = (position === -1 ? messages : messages.slice(0, position)).map(describe);
+
+  return {
+    threadId: email.threadId,
+    size: messages.length,
+    participated: described.some(m => m.sent),
+    categories: [...new Set(described.map(m => m.category).filter(Boolean))],
+    earlier: earlier.slice(-MAX_EARLIER),
+    others: described
+  };
+}
+
+// The category a reply inherits from its conversation: the highest-ranked
+// category among the other messages, or the first category that keeps mail
+// when the user has written in the thread. Trash categories are never carried
+// forward; the model decides those replies with the thread in its prompt.
+export async function getThreadCategory(context) {
+  if (!context) return null;
+
+  const categories = await listCategories();
+  const keep = context.participated ? categories.find(c => c.action === 'keep') : null;
+  const best = categories.find(c =>
+    c.action !== 'trash' && (context.categories.includes(c.name) || c.name === keep?.name)
+  );
+  if (!best) return null;
+
+  return {
+    category: best.name,
+    reason: context.categories.includes(best.name)
+      ? `Earlier messages in the thread are ${best.name}`
+      : 'You have written in this thread'
+  };
+}
+
+// With THREAD_LABELS, move the other messages of the thread that the filter
+// put in another category to this one. Only the category label moves (inbox
+// placement stays as it is), nothing is moved into or out of a trash category
+// (quarantined mail is rescued through the quarantine, not here), and messages
+// the user categorized by hand are left alone. Returns the moved ids.
+export async function alignThreadLabels(classification, context) {
+  if (!THREAD_LABELS || !context) return [];
+
+  const category = await getCategory(classification);
+  if (!category || category.action === 'trash') return [];
+
+  const labelIds = getLabelIds();
+  const moved = [];
+
+  // Message ids by the category they move from, which is the label change they share
+  const byCategory = new Map();
+  for (const message of context.others) {
+    if (!message.category || message.category === classification) continue;
+    if ((await getCategory(message.category))?.action === 'trash') continue;
+
+    const decision = await getDecision(message.id);
+    if (!decision || decision.correctedTo || decision.decidedBy?.type === 'user') continue;
+
+    if (!byCategory.has(message.category)) byCategory.set(message.category, []);
+    byCategory.get(message.category).push(message.id);
+  }
+
+  for (const [from, ids] of byCategory) {
+    await batchModifyLabels(ids, [labelIds[classification]], [labelIds[from]]);
+    for (const id of ids) {
+      // Recorded on the decision so the change is not taken for a user correction
+      await updateDecision(id, { category: classification, threadLabeledFrom: from });
+      moved.push(id);
+    }
+  }
+
+  if (moved.length > 0) {
+    logger.info(`Moved ${moved.length} earlier messages of thread ${context.threadId} to ${classification}`);
+  }
+  return moved;
+}
@@ -1,11 +1,9 @@
-import fs from 'fs/promises';
 import crypto from 'crypto';
-import path from 'path';
-import { fileURLToPath } from 'url';
+import { DEFAULT_ACCOUNT, getCurrentAccountId, accountFile } from './accountContext.js';
+import { readState, writeState, deleteState } from './stateStore.js';
 
-const __dirname = path.dirname(fileURLToPath(import.meta.url));
-const DATA_DIR = process.env.VERCEL ? '/tmp' : path.join(__dirname, '../../data');
-const TOKENS_FILE = path.join(DATA_DIR, 'tokens.json');
+const TOKENS_KEY = 'tokens';
+const ENV_DISCONNECTED_KEY = 'tokens-env-disconnected';
 
 const ALGORITHM = 'aes-256-gcm';
 const IV_LENGTH = 16;
@@ -56,51 +54,55 @@ function decrypt(encryptedData) {
   return JSON.parse(decrypted);
 }
 
-export async function saveTokens(tokens) {
-  await fs.mkdir(DATA_DIR, { recursive: true });
-  const encrypted = encrypt(tokens);
-  await fs.writeFile(TOKENS_FILE, JSON.stringify(encrypted, null, 2));
+// GMAIL_TOKENS (for Vercel) holds the default account's tokens. It can't be
+// removed from a running deployment, so disconnecting the account records its
+// fingerprint and the copy is ignored from then on.
+function fingerprint(value) {
+  return crypto.createHash('sha256').update(value).digest('hex');
 }
 
-export async function loadTokens() {
-  // Try environment variable first (for Vercel)
-  if (process.env.GMAIL_TOKENS) {
-    try {
-      const encrypted = JSON.parse(process.env.GMAIL_TOKENS);
-      return decrypt(encrypted);
-    } catch (error) {
-      console.error('Failed to parse GMAIL_TOKENS environment variable', error);
-      // Fall through to file try
-    }
-  }
+async function loadEnvTokens(accountId) {
+  if (!process.env.GMAIL_TOKENS || accountId !== DEFAULT_ACCOUNT) return null;
+
+  const disconnected = await readState(ENV_DISCONNECTED_KEY);
+  if (disconnected?.fingerprint === fingerprint(process.env.GMAIL_TOKENS)) return null;
 
   try {
-    const data = await fs.readFile(TOKENS_FILE, 'utf8');
-    const encrypted = JSON.parse(data);
+    const encrypted = JSON.parse(process.env.GMAIL_TOKENS);
     return decrypt(encrypted);
   } catch (error) {
-    if (error.code === 'ENOENT') {
-      return null;
-    }
-    throw error;
+    console.error('Failed to parse GMAIL_TOKENS environment variable', error);
+    return null;
   }
 }
 
-export async function clearTokens() {
-  try {
-    await fs.unlink(TOKENS_FILE);
-  } catch (error) {
-    if (error.code !== 'ENOENT') {
-      throw error;
-    }
-  }
+export async function saveTokens(tokens, accountId = getCurrentAccountId()) {
+  await writeState(accountFile(TOKENS_KEY, accountId), encrypt(tokens));
 }
 
-export async function tokensExist() {
-  try {
-    await fs.access(TOKENS_FILE);
+// Stored tokens win over the GMAIL_TOKENS copy, which may be older (e.g. the
+// account was re-authenticated since it was exported)
+export async function loadTokens(accountId = getCurrentAccountId()) {
+  const encrypted = await readState(accountFile(TOKENS_KEY, accountId));
+  return encrypted ? decrypt(encrypted) : loadEnvTokens(accountId);
+}
+
+// Returns true when a GMAIL_TOKENS copy was disconnected too; it should be
+// removed from the environment
+export async function clearTokens(accountId = getCurrentAccountId()) {
+  await deleteState(accountFile(TOKENS_KEY, accountId));
+
+  if (process.env.GMAIL_TOKENS && accountId === DEFAULT_ACCOUNT) {
+    await writeState(ENV_DISCONNECTED_KEY, {
+      fingerprint: fingerprint(process.env.GMAIL_TOKENS),
+      disconnectedAt: new Date().toISOString()
+    });
     return true;
-  } catch {
-    return false;
   }
+  return false;
+}
+
+export async function tokensExist(accountId = getCurrentAccountId()) {
+  return (await readState(accountFile(TOKENS_KEY, accountId))) !== null ||
+    (await loadEnvTokens(accountId)) !== null;
 }
@@ -0,0 +1,115 @@
+import { readJson, writeJson } from './jsonStore.js';
+import { modifyLabels, untrashMessage } from './gmail.js';
+import { updateDecision } from './decisionLog.js';
+import { removeFromQuarantine } from './quarantine.js';
+import { accountState, accountFile } from './accountContext.js';
+import logger from '../logger.js';
+
+const UNDO_FILE = 'undo.json';
+const RETENTION_DAYS = parseInt(process.env.UNDO_RETENTION_DAYS) || 30;
+
+const state = accountState(() => ({ entries: null }));
+
+async function loadEntries() {
+  const current = state();
+  if (current.entries) return current;
+
+  try {
+    const data = await readJson(accountFile(UNDO_FILE), { entries: [] });
+    current.entries = data.entries || [];
+  } catch (error) {
+    logger.error('Error loading undo log:', error);
+    current.entries = [];
+  }
+  return current;
+}
+
+async function saveEntries(current) {
+  // Drop entries older than the retention window to bound the file
+  const cutoff = Date.now() - RETENTION_DAYS * 24 * 60 * 60 * 1000;
+  current.entries = current.entries.filter(e => new Date(e.appliedAt).getTime() >= cutoff);
+
+  await writeJson(accountFile(UNDO_FILE), {
+    entries: current.entries,
+    savedAt: new Date().toISOString()
+  });
+}
+
+// The inverse of an applied action: untrash and/or swap the label changes
+function invert(applied) {
+  if (applied.action === 'trashed') {
+    return { untrash: true, addLabels: ['INBOX'], removeLabels: [...applied.addLabels] };
+  }
+  return {
+    untrash: false,
+    addLabels: [...applied.removeLabels],
+    removeLabels: [...applied.addLabels]
+  };
+}
+
+export async function recordAction(messageId, classification, applied) {
+  const current = await loadEntries();
+  current.entries = current.entries.filter(e => e.messageId !== messageId || e.undoneAt);
+  current.entries.push({
+    messageId,
+    classification,
+    applied,
+    inverse: invert(applied),
+    appliedAt: new Date().toISOString(),
+    undoneAt: null
+  });
+  await saveEntries(current);
+}
+
+async function runInverse(entry) {
+  const { inverse } = entry;
+
+  if (inverse.untrash) {
+    await untrashMessage(entry.messageId);
+  }
+  if (inverse.addLabels.length > 0 || inverse.removeLabels.length > 0) {
+    await modifyLabels(entry.messageId, inverse.addLabels, inverse.removeLabels);
+  }
+
+  if (entry.applied.action === 'quarantined') {
+    await removeFromQuarantine(entry.messageId);
+  }
+
+  entry.undoneAt = new Date().toISOString();
+  await updateDecision(entry.messageId, { undoneAt: entry.undoneAt });
+  logger.info(`Undid ${entry.classification} action on message ${entry.messageId}`);
+}
+
+// Returns { status: 'undone' | 'not_found' | 'already_undone', entry }
+export async function undoMessage(messageId) {
+  const current = await loadEntries();
+  const entry = [...current.entries].reverse().find(e => e.messageId === messageId);
+
+  if (!entry) return { status: 'not_found' };
+  if (entry.undoneAt) return { status: 'already_undone', entry };
+
+  await runInverse(entry);
+  await saveEntries(current);
+  return { status: 'undone', entry };
+}
+
+// Undo every action applied within the last `hours` hours
+export async function undoSince(hours) {
+  const current = await loadEntries();
+  const cutoff = Date.now() - hours * 60 * 60 * 1000;
+  const pending = current.entries.filter(e => !e.undoneAt && new Date(e.appliedAt).getTime() >= cutoff);
+  const results = [];
+
+  for (const entry of pending) {
+    try {
+      await runInverse(entry);
+      results.push({ messageId: entry.messageId, status: 'undone' });
+    } catch (error) {
+      logger.error(`Error undoing action on message ${entry.messageId}:`, error);
+      results.push({ messageId: entry.messageId, status: 'error', error: error.message });
+    }
+  }
+
+  await saveEntries(current);
+  return results;
+}